@@ -0,0 +1,169 @@
+const { logger } = require('./logger');
+const { formatDuration } = require('./time-format');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SEVERITY_EMOJI = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨'
+};
+
+function formatSpan(ms) {
+  return formatDuration(Math.max(1, Math.round(ms / 60000)));
+}
+
+// Central admin alerting. Every alert has a `key` naming the thing that is
+// broken (e.g. "platform:leetcode", "job:Combined Sunday"):
+//   - the first occurrence of a key is sent right away; repeats within
+//     `throttleMs` are only counted and summarized in the next notice,
+//   - a key still failing after `escalateAfterMs` is escalated to critical once,
+//   - resolve(key) sends a "recovered" notice if the admins were told,
+//   - at most `maxPerHour` notices go out per hour (escalations excepted);
+//     the rest are counted in the daily digest.
+// `deliver(content)` posts to the admin channel and/or DMs.
+function createAlerter({
+  deliver,
+  clock = { now: () => Date.now() },
+  throttleMs = 30 * 60 * 1000,
+  escalateAfterMs = 6 * HOUR_MS,
+  maxPerHour = 10
+}) {
+  const active = new Map();
+  let sentTimes = [];
+  let digest = emptyDigest();
+
+  function emptyDigest() {
+    return {
+      since: clock.now(),
+      jobs: {},
+      messages: { sent: 0, failed: 0 },
+      alerts: {},
+      suppressed: 0
+    };
+  }
+
+  async function send(content, { force = false } = {}) {
+    const now = clock.now();
+    sentTimes = sentTimes.filter(time => now - time < HOUR_MS);
+    if (!force && sentTimes.length >= maxPerHour) {
+      digest.suppressed++;
+      return false;
+    }
+
+    sentTimes.push(now);
+    try {
+      await deliver(content);
+      return true;
+    } catch (error) {
+      logger.error('Failed to deliver admin alert', { error });
+      return false;
+    }
+  }
+
+  async function alert({ key, severity = 'warning', title, message = '' }) {
+    const now = clock.now();
+    digest.alerts[key] = (digest.alerts[key] || 0) + 1;
+
+    let entry = active.get(key);
+    if (!entry) {
+      entry = { key, severity, title, firstSeen: now, lastSent: null, count: 0, unsent: 0, escalated: false };
+      active.set(key, entry);
+    }
+    entry.count++;
+    entry.title = title;
+
+    const escalate = !entry.escalated && now - entry.firstSeen >= escalateAfterMs;
+    if (escalate) {
+      entry.escalated = true;
+      entry.severity = 'critical';
+    }
+
+    if (!escalate && entry.lastSent !== null && now - entry.lastSent < throttleMs) {
+      entry.unsent++;
+      return false;
+    }
+
+    const header = escalate
+      ? `${SEVERITY_EMOJI.critical} **Escalated: ${title}** (failing for ${formatSpan(now - entry.firstSeen)})`
+      : `${SEVERITY_EMOJI[entry.severity] || SEVERITY_EMOJI.warning} **${title}**`;
+    const repeats = entry.unsent > 0 ? `\n🔁 Happened ${entry.unsent} more time${entry.unsent === 1 ? '' : 's'} since the last notice.` : '';
+    const sent = await send(`${header}${message ? `\n${message}` : ''}${repeats}`, { force: escalate });
+
+    if (sent) {
+      entry.lastSent = now;
+      entry.unsent = 0;
+    } else {
+      entry.unsent++;
+    }
+    return sent;
+  }
+
+  async function resolve(key, message = '') {
+    const entry = active.get(key);
+    if (!entry) return false;
+    active.delete(key);
+
+    // Nobody was told about it, so there is nothing to take back
+    if (entry.lastSent === null) return false;
+
+    const span = formatSpan(clock.now() - entry.firstSeen);
+    return send(`✅ **Recovered: ${entry.title}** after ${span} (${entry.count} failures)${message ? `\n${message}` : ''}`);
+  }
+
+  function recordJob(name, ok) {
+    if (!digest.jobs[name]) digest.jobs[name] = { runs: 0, failures: 0 };
+    digest.jobs[name].runs++;
+    if (!ok) digest.jobs[name].failures++;
+  }
+
+  function recordMessage(delivered) {
+    if (delivered) {
+      digest.messages.sent++;
+    } else {
+      digest.messages.failed++;
+    }
+  }
+
+  function buildDigest() {
+    const jobLines = Object.entries(digest.jobs)
+      .map(([name, { runs, failures }]) => `• ${name}: ${runs} runs${failures > 0 ? `, **${failures} failed**` : ''}`);
+    const alertLines = Object.entries(digest.alerts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([key, count]) => `• ${key}: ${count}`);
+    const activeLines = [...active.values()]
+      .map(entry => `• ${SEVERITY_EMOJI[entry.severity] || ''} ${entry.title} (since ${new Date(entry.firstSeen).toISOString()})`);
+
+    return [
+      `📋 **Daily ops digest** (last ${formatSpan(clock.now() - digest.since)})`,
+      `✉️ Messages: ${digest.messages.sent} sent, ${digest.messages.failed} failed`,
+      `⚙️ Jobs:\n${jobLines.length > 0 ? jobLines.join('\n') : '• none ran'}`,
+      `🚨 Alerts:\n${alertLines.length > 0 ? alertLines.join('\n') : '• none'}`,
+      digest.suppressed > 0 ? `🔇 ${digest.suppressed} notices were held back by the rate limit` : null,
+      activeLines.length > 0 ? `🔥 Still failing:\n${activeLines.join('\n')}` : '✅ Nothing is failing right now'
+    ].filter(Boolean).join('\n').slice(0, 2000);
+  }
+
+  // The digest always goes out, and the counts start over afterwards
+  async function sendDigest() {
+    const content = buildDigest();
+    digest = emptyDigest();
+    return send(content, { force: true });
+  }
+
+  function getActive() {
+    return [...active.values()];
+  }
+
+  return {
+    alert,
+    resolve,
+    recordJob,
+    recordMessage,
+    buildDigest,
+    sendDigest,
+    getActive
+  };
+}
+
+module.exports = { createAlerter };
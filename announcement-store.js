@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+const path = require('path');
+const cron = require('node-cron');
+const { dataPath, loadJson, saveJson } = require('./json-store');
+const { isValidTimezone, DEFAULT_TIMEZONE } = require('./guild-config');
+
+const SEED_FILE = path.join(__dirname, 'announcements.default.json');
+const BUTTON_SETS = ['solve-poll'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Scheduled announcements. Each one has:
+//   id, cron, timezone, template   - when and what to post
+//   guildId                        - owning guild; null for the shared ones
+//   channelId                      - null posts to the daily channel
+//   cohort                         - fills {cohort} in the template
+//   buttons                        - "solve-poll" attaches the solve-count poll
+//   reaction                       - emoji the bot reacts with
+//   trackAcknowledgements          - tally ✅ reactions against the cohort roster
+//   paused
+//
+// Ids are unique per guild. Shared announcements (seeded from
+// announcements.default.json on the first run) go to every guild's daily
+// channel; a guild's own announcement with the same id replaces the shared
+// one in that guild. After the first run the data file is the source of
+// truth. Every change emits 'change' with the guild id and id so the
+// scheduler can re-arm that job without a restart.
+function normalizeAnnouncement(input) {
+  return {
+    id: input.id,
+    cron: input.cron,
+    timezone: input.timezone || DEFAULT_TIMEZONE,
+    template: input.template,
+    guildId: input.guildId || null,
+    channelId: input.channelId || null,
+    cohort: input.cohort || null,
+    buttons: input.buttons || null,
+    reaction: input.reaction || null,
+    trackAcknowledgements: Boolean(input.trackAcknowledgements),
+    paused: Boolean(input.paused)
+  };
+}
+
+// Returns a list of problems, empty when the announcement is valid
+function validateAnnouncement(announcement) {
+  const errors = [];
+  if (!ID_PATTERN.test(announcement.id || '')) errors.push('id must be lowercase letters, digits and dashes');
+  if (!announcement.cron || !cron.validate(announcement.cron)) errors.push(`invalid cron expression "${announcement.cron}"`);
+  if (!isValidTimezone(announcement.timezone)) errors.push(`unknown timezone "${announcement.timezone}"`);
+  if (!announcement.template || !announcement.template.trim()) errors.push('template is empty');
+  if (announcement.buttons && !BUTTON_SETS.includes(announcement.buttons)) errors.push(`unknown buttons "${announcement.buttons}"`);
+  if (announcement.trackAcknowledgements && !announcement.cohort) errors.push('acknowledgement tracking needs a cohort');
+  return errors;
+}
+
+function createAnnouncementStore({ file = dataPath('announcements.json'), seedFile = SEED_FILE } = {}) {
+  const emitter = new EventEmitter();
+  const state = loadJson(file, null) || {
+    announcements: loadJson(seedFile, []).map(normalizeAnnouncement)
+  };
+
+  function save(guildId, id) {
+    saveJson(file, state);
+    emitter.emit('change', guildId, id);
+  }
+
+  // Every announcement, or the ones a guild gets: its own and the shared ones it has not replaced
+  function list(guildId) {
+    if (guildId === undefined) return [...state.announcements];
+    return state.announcements.filter(announcement =>
+      announcement.guildId ? announcement.guildId === guildId : !(guildId && get(guildId, announcement.id)));
+  }
+
+  // Exactly the announcement with this id in this guild, or the shared one for a null guild id
+  function get(guildId, id) {
+    return state.announcements.find(announcement =>
+      announcement.id === id && announcement.guildId === (guildId || null)) || null;
+  }
+
+  // The announcement a guild gets under this id: its own, else the shared one
+  function find(guildId, id) {
+    return (guildId && get(guildId, id)) || get(null, id);
+  }
+
+  function add(input) {
+    const announcement = normalizeAnnouncement(input);
+    const errors = validateAnnouncement(announcement);
+    if (get(announcement.guildId, announcement.id)) errors.push(`an announcement called "${announcement.id}" already exists`);
+    if (errors.length > 0) return { errors };
+
+    state.announcements.push(announcement);
+    save(announcement.guildId, announcement.id);
+    return { announcement };
+  }
+
+  function update(guildId, id, patch) {
+    const current = get(guildId, id);
+    if (!current) return { errors: [`no announcement called "${id}"`] };
+
+    const announcement = normalizeAnnouncement({ ...current, ...patch, id, guildId: current.guildId });
+    const errors = validateAnnouncement(announcement);
+    if (errors.length > 0) return { errors };
+
+    state.announcements[state.announcements.indexOf(current)] = announcement;
+    save(current.guildId, id);
+    return { announcement };
+  }
+
+  function remove(guildId, id) {
+    const current = get(guildId, id);
+    if (!current) return false;
+
+    state.announcements.splice(state.announcements.indexOf(current), 1);
+    save(current.guildId, id);
+    return true;
+  }
+
+  return Object.assign(emitter, {
+    list,
+    get,
+    find,
+    add,
+    update,
+    remove
+  });
+}
+
+module.exports = {
+  BUTTON_SETS,
+  validateAnnouncement,
+  createAnnouncementStore
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const express = require('express');
+const { dateKey } = require('./poll-store');
+const { DEFAULT_TIMEZONE } = require('./guild-config');
+
+const PERIODS = ['week', 'month', 'all'];
+
+// The router takes a `deps` object supplied by index.js:
+//   getProviders()           -> enabled providers
+//   getProvider(id)          -> provider or null
+//   contestStore             -> last-known contests (see contest-store.js)
+//   getPendingReminders()    -> pending reminder jobs, soonest first
+//   pollStore                -> good-night poll votes (see poll-store.js)
+//   guildConfig              -> per-guild settings store (see guild-config.js)
+//   listGuildIds()           -> ids of the guilds the bot is in
+//   sendContestLists()       -> post every platform's upcoming contests (the old
+//                               `!contest check`); resolves to true on success,
+//                               null while Discord is not ready and undefined
+//                               when the same job is already running
+//   scheduleReminders()      -> refetch contests and queue their reminders,
+//                               resolves like sendContestLists
+//   sendAnnouncement(id, guildId) -> post a guild's announcement (or the shared one)
+//                               now; resolves to false for an unknown id and null
+//                               while Discord is not ready
+//   apiToken                 -> bearer token for write endpoints; unset disables them
+//   corsOrigin               -> Access-Control-Allow-Origin for browser clients
+
+// Accepts Unix seconds or anything Date.parse understands
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : Math.floor(parsed / 1000);
+}
+
+function toIso(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+function serializeContest(contest, deps) {
+  const provider = deps.getProvider(contest.platform);
+  return {
+    ...contest,
+    platformName: provider ? provider.name : contest.platform,
+    start: toIso(contest.startTime),
+    end: toIso(contest.endTime)
+  };
+}
+
+function serializeReminder(job) {
+  return {
+    id: job.id,
+    guildId: job.guildId,
+    offset: job.offset ? job.offset.key : null,
+    fireAt: new Date(job.fireAt).toISOString(),
+    contest: {
+      platform: job.contest.platform,
+      id: job.contest.id,
+      title: job.contest.title,
+      start: toIso(job.contest.startTime)
+    }
+  };
+}
+
+// Upcoming contests from the store, optionally limited to platforms and a time window
+function listContests(deps, { platform = null, from = null, to = null } = {}) {
+  const requested = platform
+    ? String(platform).split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    : null;
+
+  return deps.getProviders()
+    .filter(provider => !requested || requested.includes(provider.id))
+    .flatMap(provider => deps.contestStore.getUpcoming(provider.id))
+    .filter(contest => from === null || contest.startTime >= from)
+    .filter(contest => to === null || contest.startTime <= to)
+    .sort((a, b) => a.startTime - b.startTime);
+}
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function createApiRouter(deps) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', deps.corsOrigin || '*');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(204);
+      return;
+    }
+    next();
+  });
+
+  // Write endpoints need `Authorization: Bearer <API_TOKEN>`
+  function requireToken(req, res, next) {
+    if (!deps.apiToken) {
+      res.status(503).json({ error: 'Write endpoints are disabled; set API_TOKEN to enable them' });
+      return;
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !tokensMatch(match[1], deps.apiToken)) {
+      res.status(401).json({ error: 'Missing or invalid API token' });
+      return;
+    }
+    next();
+  }
+
+  // GET /api/contests?platform=leetcode,codeforces&from=2024-06-01&to=1717286400
+  router.get('/contests', (req, res) => {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      res.status(400).json({ error: 'from and to must be Unix seconds or ISO dates' });
+      return;
+    }
+
+    const contests = listContests(deps, { platform: req.query.platform, from, to });
+    res.json({ contests: contests.map(contest => serializeContest(contest, deps)) });
+  });
+
+  router.get('/reminders', (req, res) => {
+    res.json({ reminders: deps.getPendingReminders().map(serializeReminder) });
+  });
+
+  // GET /api/stats?guild=<id>&period=week|month|all
+  // The guild may be left out while the bot is in a single guild
+  router.get('/stats', (req, res) => {
+    const period = req.query.period || 'week';
+    if (!PERIODS.includes(period)) {
+      res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+      return;
+    }
+
+    const guildIds = deps.listGuildIds();
+    const guildId = req.query.guild || (guildIds.length === 1 ? guildIds[0] : null);
+    if (!guildId || !guildIds.includes(guildId)) {
+      res.status(400).json({ error: 'Pass a guild id the bot is in', guilds: guildIds });
+      return;
+    }
+
+    const timezone = deps.guildConfig.get(guildId).timezone || DEFAULT_TIMEZONE;
+    const today = dateKey(new Date(), timezone);
+    res.json({
+      guildId,
+      period,
+      today,
+      leaderboard: deps.pollStore.getLeaderboard(guildId, period, today)
+    });
+  });
+
+  // Express 4 does not catch rejected promises, so async handlers pass errors on
+  router.post('/check', requireToken, async (req, res, next) => {
+    let ok;
+    try {
+      ok = await deps.sendContestLists();
+    } catch (error) {
+      next(error);
+      return;
+    }
+
+    if (ok === null) {
+      res.status(503).json({ error: 'The bot is not connected to Discord yet' });
+      return;
+    }
+    if (ok === undefined) {
+      res.status(409).json({ error: 'A contest check is already running' });
+      return;
+    }
+    res.status(ok ? 200 : 500).json({ ok });
+  });
+
+  router.post('/reminders/reschedule', requireToken, async (req, res, next) => {
+    let ok;
+    try {
+      ok = await deps.scheduleReminders();
+    } catch (error) {
+      next(error);
+      return;
+    }
+
+    if (ok === undefined) {
+      res.status(409).json({ error: 'Reminders are already being scheduled' });
+      return;
+    }
+    res.status(ok ? 200 : 500).json({ ok, pendingReminders: deps.getPendingReminders().length });
+  });
+
+  // POST /api/announcements/<id>/send?guild=<id>
+  // Without a guild only the shared announcements can be sent
+  router.post('/announcements/:id/send', requireToken, async (req, res, next) => {
+    let sent;
+    try {
+      sent = await deps.sendAnnouncement(req.params.id, req.query.guild || null);
+    } catch (error) {
+      next(error);
+      return;
+    }
+
+    if (sent === null) {
+      res.status(503).json({ error: 'The bot is not connected to Discord yet' });
+      return;
+    }
+    if (!sent) {
+      res.status(404).json({ error: `Unknown announcement: ${req.params.id}` });
+      return;
+    }
+    res.json({ ok: true });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  router.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  return router;
+}
+
+module.exports = {
+  listContests,
+  createApiRouter
+};
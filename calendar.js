@@ -0,0 +1,104 @@
+// iCalendar (RFC 5545) export and "add to calendar" links for contests
+const PRODUCT_ID = '-//discord-contest-bot//Contest Calendar//EN';
+
+function formatIcsDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function contestEnd(contest) {
+  return contest.endTime || contest.startTime + (contest.duration || 120) * 60;
+}
+
+function buildEvent(contest, platformName, now) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:${contest.platform}-${contest.id}@discord-contest-bot`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(contest.startTime)}`,
+    `DTEND:${formatIcsDate(contestEnd(contest))}`,
+    `SUMMARY:${escapeText(`${platformName}: ${contest.title}`)}`,
+    contest.url ? `URL:${contest.url}` : null,
+    `DESCRIPTION:${escapeText(contest.url ? `Join: ${contest.url}` : `${platformName} contest`)}`,
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(`${contest.title} starts in 15 minutes`)}`,
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VEVENT'
+  ].filter(Boolean);
+}
+
+// `getPlatformName` maps a platform id to its display name. Events are always
+// in UTC; `timezone` is only a display hint for calendar apps.
+function buildCalendar(contests, { name = 'Coding Contests', getPlatformName = id => id, timezone = null } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    timezone ? `X-WR-TIMEZONE:${timezone}` : null,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    ...contests.flatMap(contest => buildEvent(contest, getPlatformName(contest.platform), now)),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function googleCalendarUrl(contest, platformName) {
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: `${platformName}: ${contest.title}`,
+    dates: `${formatIcsDate(contest.startTime)}/${formatIcsDate(contestEnd(contest))}`,
+    details: contest.url ? `Join: ${contest.url}` : `${platformName} contest`
+  });
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+// Needs PUBLIC_URL, the address the Express server is reachable at
+function icsDownloadUrl(contest, publicUrl = process.env.PUBLIC_URL) {
+  if (!publicUrl) return null;
+  const base = publicUrl.replace(/\/+$/, '');
+  return `${base}/calendar/${encodeURIComponent(contest.platform)}/${encodeURIComponent(contest.id)}.ics`;
+}
+
+// Markdown line with the calendar links for an embed field
+function calendarLinks(contest, platformName) {
+  const links = [`[Add to Google Calendar](${googleCalendarUrl(contest, platformName)})`];
+  const icsUrl = icsDownloadUrl(contest);
+  if (icsUrl) links.push(`[Download .ics](${icsUrl})`);
+  return `📆 ${links.join(' · ')}`;
+}
+
+module.exports = {
+  buildCalendar,
+  googleCalendarUrl,
+  icsDownloadUrl,
+  calendarLinks
+};
@@ -0,0 +1,207 @@
+const { SlashCommandBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { BUTTON_SETS } = require('../announcement-store');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   announcementStore -> scheduled announcements (see announcement-store.js)
+// Admins only ever change their own guild's announcements. Editing, pausing or
+// resuming a shared one gives the guild its own copy that replaces it there.
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// Options shared by `add` and `edit`; `add` marks cron and template required
+function addAnnouncementOptions(sub, required) {
+  return sub
+    .addStringOption(option => option
+      .setName('id')
+      .setDescription('Short name, e.g. "good-morning"')
+      .setAutocomplete(!required)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('cron')
+      .setDescription('Cron expression, e.g. "15 9 * * *" for 9:15 every day')
+      .setRequired(required))
+    .addStringOption(option => option
+      .setName('template')
+      .setDescription('Text; placeholders {mention} {date} {cohort} {quote}, \\n for new lines')
+      .setMaxLength(2000)
+      .setRequired(required))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel to post in (default: the daily channel)')
+      .addChannelTypes(...TEXT_CHANNEL_TYPES))
+    .addStringOption(option => option
+      .setName('timezone')
+      .setDescription('IANA timezone for the cron expression (default: Asia/Kolkata)'))
+    .addStringOption(option => option
+      .setName('cohort')
+      .setDescription('Cohort for {cohort} and acknowledgement tracking, e.g. "2nd Year"'))
+    .addStringOption(option => option
+      .setName('buttons')
+      .setDescription('Buttons to attach')
+      .addChoices(...BUTTON_SETS.map(name => ({ name, value: name })), { name: 'none', value: 'none' }))
+    .addStringOption(option => option
+      .setName('reaction')
+      .setDescription('Emoji the bot reacts with, or "none"'))
+    .addBooleanOption(option => option
+      .setName('track')
+      .setDescription('Tally ✅ reactions against the cohort roster'));
+}
+
+const idOption = option => option
+  .setName('id')
+  .setDescription('Announcement name')
+  .setAutocomplete(true)
+  .setRequired(true);
+
+const data = new SlashCommandBuilder()
+  .setName('announcements')
+  .setDescription('Scheduled daily announcements (admins only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('list')
+    .setDescription('Show all scheduled announcements'))
+  .addSubcommand(sub => addAnnouncementOptions(sub
+    .setName('add')
+    .setDescription('Schedule a new announcement'), true))
+  .addSubcommand(sub => addAnnouncementOptions(sub
+    .setName('edit')
+    .setDescription('Change an announcement; only the options you give are updated'), false))
+  .addSubcommand(sub => sub
+    .setName('pause')
+    .setDescription('Stop posting an announcement until resumed')
+    .addStringOption(idOption))
+  .addSubcommand(sub => sub
+    .setName('resume')
+    .setDescription('Start posting a paused announcement again')
+    .addStringOption(idOption))
+  .addSubcommand(sub => sub
+    .setName('delete')
+    .setDescription('Delete an announcement')
+    .addStringOption(idOption));
+
+function describe(announcement) {
+  const details = [
+    `\`${announcement.cron}\` (${announcement.timezone})`,
+    announcement.channelId ? `in <#${announcement.channelId}>` : 'in the daily channel',
+    announcement.cohort ? `cohort ${announcement.cohort}` : null,
+    announcement.buttons ? `buttons: ${announcement.buttons}` : null,
+    announcement.reaction ? `reacts ${announcement.reaction}` : null,
+    announcement.trackAcknowledgements ? 'tracks acknowledgements' : null,
+    announcement.guildId ? null : 'shared'
+  ].filter(Boolean).join(' · ');
+
+  return `${announcement.paused ? '⏸️' : '▶️'} **${announcement.id}** — ${details}`;
+}
+
+// Only the options the admin actually filled in
+function readPatch(interaction) {
+  const options = interaction.options;
+  const patch = {};
+  const channel = options.getChannel('channel');
+  const buttons = options.getString('buttons');
+  const reaction = options.getString('reaction');
+  const track = options.getBoolean('track');
+
+  ['cron', 'template', 'timezone', 'cohort'].forEach(name => {
+    const value = options.getString(name);
+    if (value !== null) patch[name] = value;
+  });
+  if (channel) patch.channelId = channel.id;
+  if (buttons !== null) patch.buttons = buttons === 'none' ? null : buttons;
+  if (reaction !== null) patch.reaction = reaction === 'none' ? null : reaction;
+  if (track !== null) patch.trackAcknowledgements = track;
+  return patch;
+}
+
+async function replyResult(interaction, { errors, announcement }, verb) {
+  const content = errors
+    ? `❓ Could not save: ${errors.join('; ')}`
+    : `✅ ${verb}\n${describe(announcement)}`;
+  await interaction.reply({ content, ephemeral: true });
+}
+
+async function handleList(interaction, deps) {
+  const announcements = deps.announcementStore.list(interaction.guildId);
+  await interaction.reply({
+    content: announcements.length > 0
+      ? announcements.map(describe).join('\n').slice(0, 2000)
+      : '📭 No announcements scheduled.',
+    ephemeral: true
+  });
+}
+
+async function handleAdd(interaction, deps) {
+  const result = deps.announcementStore.add({
+    id: interaction.options.getString('id'),
+    ...readPatch(interaction),
+    guildId: interaction.guildId
+  });
+  await replyResult(interaction, result, 'Announcement scheduled.');
+}
+
+// Change the guild's own announcement, or copy the shared one into the guild first
+function updateInGuild(interaction, deps, patch) {
+  const store = deps.announcementStore;
+  const id = interaction.options.getString('id');
+  if (store.get(interaction.guildId, id)) return store.update(interaction.guildId, id, patch);
+
+  const shared = store.get(null, id);
+  if (!shared) return { errors: [`no announcement called "${id}"`] };
+  return store.add({ ...shared, ...patch, guildId: interaction.guildId });
+}
+
+async function handleEdit(interaction, deps) {
+  const result = updateInGuild(interaction, deps, readPatch(interaction));
+  await replyResult(interaction, result, 'Announcement updated.');
+}
+
+async function handlePause(interaction, deps) {
+  const result = updateInGuild(interaction, deps, { paused: true });
+  await replyResult(interaction, result, 'Announcement paused.');
+}
+
+async function handleResume(interaction, deps) {
+  const result = updateInGuild(interaction, deps, { paused: false });
+  await replyResult(interaction, result, 'Announcement resumed.');
+}
+
+async function handleDelete(interaction, deps) {
+  const id = interaction.options.getString('id');
+  const removed = deps.announcementStore.remove(interaction.guildId, id);
+  const shared = deps.announcementStore.get(null, id);
+
+  let content = `❓ No announcement called "${id}".`;
+  if (removed) content = `🗑️ Deleted **${id}**.${shared ? ' The shared announcement with that name applies here again.' : ''}`;
+  else if (shared) content = `🔒 **${id}** is shared by every server. Pause it to stop it here.`;
+  await interaction.reply({ content, ephemeral: true });
+}
+
+const handlers = {
+  list: handleList,
+  add: handleAdd,
+  edit: handleEdit,
+  pause: handlePause,
+  resume: handleResume,
+  delete: handleDelete
+};
+
+async function execute(interaction, deps) {
+  const handler = handlers[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction, deps);
+}
+
+async function autocomplete(interaction, deps) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = deps.announcementStore.list(interaction.guildId)
+    .filter(announcement => announcement.id.includes(focused))
+    .map(announcement => ({ name: announcement.id, value: announcement.id }));
+
+  await interaction.respond(choices.slice(0, 25));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
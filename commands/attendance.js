@@ -0,0 +1,154 @@
+const { EmbedBuilder } = require('discord.js');
+const { dateKey, periodStart } = require('../poll-store');
+const { RSVP_OPTIONS } = require('../render');
+
+// RSVP buttons and /contests attendance. Handlers use these deps from index.js
+// on top of the ones in ./contests.js:
+//   contestStore -> upcoming contests by platform and id (see contest-store.js)
+//   rsvpStore    -> RSVPs per guild and contest (see rsvp-store.js)
+//   resultsStore -> who of the linked members took part (see results-store.js)
+
+const RSVP_PREFIX = 'rsvp:';
+const DEFAULT_WEEKS = 4;
+const DAY_SECONDS = 24 * 60 * 60;
+
+async function handleRsvp(interaction, deps) {
+  const [status, platformId, ...rest] = interaction.customId.slice(RSVP_PREFIX.length).split(':');
+  const contestId = rest.join(':');
+  const option = RSVP_OPTIONS[status];
+  if (!option || !interaction.guildId) {
+    await interaction.reply({ content: '⚠️ RSVPs only work on contest messages inside a server.', ephemeral: true });
+    return;
+  }
+
+  // Started contests leave the store at its next sync; the start time check covers the gap
+  const contest = deps.contestStore.getContest(platformId, contestId);
+  if (!contest || contest.startTime <= Math.floor(Date.now() / 1000)) {
+    await interaction.reply({ content: '⌛ RSVPs for this contest are closed.', ephemeral: true });
+    return;
+  }
+
+  const { firstSeen, ...details } = contest;
+  const previous = deps.rsvpStore.respond(interaction.guildId, details, interaction.user.id, status);
+  const responses = deps.rsvpStore.getResponses(interaction.guildId, platformId, contestId);
+
+  await interaction.reply({
+    content: `${option.emoji} **${option.label}** for ${contest.title}` +
+      (previous && previous !== status ? ` (was ${RSVP_OPTIONS[previous].label})` : '') +
+      `\n👥 Going: **${responses.going.length}** · Maybe: **${responses.maybe.length}**` +
+      (status === 'going' ? '\n🔔 You will be pinged in the 10-minute warning.' : ''),
+    ephemeral: true
+  });
+}
+
+function percent(part, whole) {
+  return whole > 0 ? `${Math.round((part / whole) * 100)}%` : '–';
+}
+
+// Contests of the last `weeks` weeks grouped by the week (starting Monday) they started in
+function buildWeeks(records, participation, weeks, timezone) {
+  const today = dateKey(new Date(), timezone);
+  const byWeek = new Map();
+
+  const weekOf = contest => periodStart('week', dateKey(new Date(contest.startTime * 1000), timezone));
+  const entryFor = contest => {
+    const week = weekOf(contest);
+    if (!byWeek.has(week)) byWeek.set(week, new Map());
+    const contests = byWeek.get(week);
+    const key = `${contest.platform}:${contest.id}`;
+    if (!contests.has(key)) contests.set(key, { contest, going: [], maybe: [], linked: [], participated: null });
+    return contests.get(key);
+  };
+
+  records.forEach(record => {
+    const entry = entryFor(record.contest);
+    Object.entries(record.responses).forEach(([userId, response]) => {
+      if (response.status !== 'no') entry[response.status].push(userId);
+    });
+  });
+  participation.forEach(record => {
+    const entry = entryFor(record.contest);
+    entry.linked = record.linked;
+    entry.participated = record.participated;
+  });
+
+  const firstWeek = periodStart('week', today);
+  return [...byWeek.entries()]
+    .filter(([week]) => week <= firstWeek)
+    .sort(([a], [b]) => b.localeCompare(a))
+    .slice(0, weeks)
+    .map(([week, contests]) => ({ week, contests: [...contests.values()] }));
+}
+
+function describeWeek({ contests }) {
+  const going = contests.reduce((sum, entry) => sum + entry.going.length, 0);
+  const maybe = contests.reduce((sum, entry) => sum + entry.maybe.length, 0);
+  const tracked = contests.filter(entry => entry.participated);
+  const participated = tracked.reduce((sum, entry) => sum + entry.participated.length, 0);
+  const linked = tracked.reduce((sum, entry) => sum + entry.linked.length, 0);
+  // Members who said Going and show up in the standings, where that is known
+  const goingTracked = tracked.reduce((sum, entry) => sum + entry.going.filter(userId => entry.linked.includes(userId)).length, 0);
+  const showedUp = tracked.reduce((sum, entry) => sum + entry.going.filter(userId => entry.participated.includes(userId)).length, 0);
+
+  const lines = [`🗓️ ${contests.length} contest${contests.length === 1 ? '' : 's'} · ✅ ${going} going · 🤔 ${maybe} maybe`];
+  if (tracked.length > 0) {
+    lines.push(`🏃 ${participated}/${linked} linked members took part (${percent(participated, linked)})`);
+    if (goingTracked > 0) lines.push(`🎯 ${showedUp}/${goingTracked} who said Going showed up`);
+  }
+  return lines.join('\n');
+}
+
+// Members who took part most often, falling back to Going RSVPs for
+// contests without standings
+function topMembers(weeks) {
+  const counts = {};
+  weeks.flatMap(week => week.contests).forEach(entry => {
+    (entry.participated || entry.going).forEach(userId => {
+      counts[userId] = (counts[userId] || 0) + 1;
+    });
+  });
+  return Object.entries(counts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, 5)
+    .map(([userId, count], index) => `${index + 1}. <@${userId}> — ${count} contest${count === 1 ? '' : 's'}`);
+}
+
+async function handleAttendance(interaction, deps) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: '⚠️ Attendance is tracked per server.', ephemeral: true });
+    return;
+  }
+
+  const weeksBack = interaction.options.getInteger('weeks') || DEFAULT_WEEKS;
+  const timezone = deps.guildConfig.get(interaction.guildId).timezone;
+  const now = Math.floor(Date.now() / 1000);
+  // One extra week, since the oldest week in range may have started before the cutoff
+  const since = now - (weeksBack + 1) * 7 * DAY_SECONDS;
+  const weeks = buildWeeks(
+    // RSVPs for contests still ahead are not attendance yet
+    deps.rsvpStore.listRecords(interaction.guildId, since).filter(record => record.contest.startTime <= now),
+    deps.resultsStore.listParticipation(interaction.guildId, since),
+    weeksBack,
+    timezone
+  );
+
+  if (weeks.length === 0) {
+    await interaction.reply({ content: `📭 No RSVPs or results in the last ${weeksBack} weeks. RSVP with the buttons under the contest reminders!`, ephemeral: true });
+    return;
+  }
+
+  const top = topMembers(weeks);
+  const embed = new EmbedBuilder()
+    .setTitle(`📋 Contest Attendance (last ${weeksBack} weeks)`)
+    .setColor('#0099FF')
+    .addFields(weeks.map(week => ({ name: `Week of ${week.week}`, value: describeWeek(week) })))
+    .setFooter({ text: 'Participation is known for members who linked a handle with /link' });
+  if (top.length > 0) embed.addFields({ name: '🏅 Most active', value: top.join('\n') });
+
+  await interaction.reply({ embeds: [embed], ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+module.exports = {
+  rsvpButton: { prefix: RSVP_PREFIX, handle: handleRsvp },
+  handleAttendance
+};
@@ -0,0 +1,364 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { parseOffsetList } = require('../reminder-offsets');
+const { isValidTimezone } = require('../guild-config');
+const { normalizeFilter, isEmptyFilter, describeFilter } = require('../contest-filter');
+
+const TEXT_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// Adds the `/contests config ...` subcommand group to a command builder
+function addConfigGroup(builder) {
+  return builder.addSubcommandGroup(group => group
+    .setName('config')
+    .setDescription('Server settings (admins only)')
+    .addSubcommand(sub => sub
+      .setName('show')
+      .setDescription('Show the current settings for this server'))
+    .addSubcommand(sub => sub
+      .setName('channel')
+      .setDescription('Set the channel that receives contest messages')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to post in')
+        .addChannelTypes(...TEXT_CHANNEL_TYPES)
+        .setRequired(true))
+      .addStringOption(option => option
+        .setName('platform')
+        .setDescription('Only route this platform to the channel (default: all platforms)')
+        .setAutocomplete(true)))
+    .addSubcommand(sub => sub
+      .setName('daily-channel')
+      .setDescription('Set the channel that receives the daily messages')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to post in')
+        .addChannelTypes(...TEXT_CHANNEL_TYPES)
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('platforms')
+      .setDescription('Choose which platforms this server follows')
+      .addStringOption(option => option
+        .setName('list')
+        .setDescription('Comma-separated platform ids, or "all"')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('offsets')
+      .setDescription('Choose which reminders are sent')
+      .addStringOption(option => option
+        .setName('list')
+        .setDescription('e.g. "24h,1h,10m,start,end", or "default"')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('role')
+      .setDescription('Set the role to ping (leave empty for @everyone)')
+      .addRoleOption(option => option
+        .setName('role')
+        .setDescription('Role to mention in reminders')))
+    .addSubcommand(sub => sub
+      .setName('platform-role')
+      .setDescription('Set the opt-in role pinged for a platform (creates one if left empty)')
+      .addStringOption(option => option
+        .setName('platform')
+        .setDescription('Platform the role is for')
+        .setAutocomplete(true)
+        .setRequired(true))
+      .addRoleOption(option => option
+        .setName('role')
+        .setDescription('Existing role to use')))
+    .addSubcommand(sub => sub
+      .setName('daily-role')
+      .setDescription('Set the role pinged by the daily messages (leave empty to use the ping role)')
+      .addRoleOption(option => option
+        .setName('role')
+        .setDescription('Role to mention in daily messages')))
+    .addSubcommand(sub => sub
+      .setName('role-buttons')
+      .setDescription('Post self-assign buttons for the platform roles in this channel'))
+    .addSubcommand(sub => sub
+      .setName('timezone')
+      .setDescription('Set the timezone used to show contest times')
+      .addStringOption(option => option
+        .setName('timezone')
+        .setDescription('IANA timezone, e.g. Asia/Kolkata or Europe/Berlin')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('filter')
+      .setDescription('Choose which contests a channel hears about (options left out stay as they are)')
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel to filter (default: this channel)')
+        .addChannelTypes(...TEXT_CHANNEL_TYPES))
+      .addStringOption(option => option
+        .setName('platforms')
+        .setDescription('Comma-separated platform ids, or "all"'))
+      .addStringOption(option => option
+        .setName('types')
+        .setDescription('Comma-separated contest types such as weekly, starters, div2, or "all"'))
+      .addBooleanOption(option => option
+        .setName('rated-only')
+        .setDescription('Only contests the platform marks as rated'))
+      .addIntegerOption(option => option
+        .setName('days')
+        .setDescription('Only list contests starting within this many days (0 = default window)')
+        .setMinValue(0)
+        .setMaxValue(60))
+      .addStringOption(option => option
+        .setName('include')
+        .setDescription('Comma-separated title keywords a contest must contain one of, or "none"'))
+      .addStringOption(option => option
+        .setName('exclude')
+        .setDescription('Comma-separated title keywords that drop a contest, or "none"'))
+      .addBooleanOption(option => option
+        .setName('reset')
+        .setDescription('Clear every rule for the channel')))
+    .addSubcommand(sub => sub
+      .setName('feature')
+      .setDescription('Turn a bot feature on or off for this server')
+      .addStringOption(option => option
+        .setName('feature')
+        .setDescription('Feature to change')
+        .setAutocomplete(true)
+        .setRequired(true))
+      .addBooleanOption(option => option
+        .setName('enabled')
+        .setDescription('Whether the feature is on')
+        .setRequired(true))));
+}
+
+function describeConfig(config, deps) {
+  const channelLines = Object.entries(config.channels)
+    .filter(([, channelId]) => channelId)
+    .map(([platform, channelId]) => {
+      const provider = deps.getProvider(platform);
+      return `• ${provider ? provider.name : 'All platforms'}: <#${channelId}>`;
+    });
+
+  const roleLines = Object.entries(config.platformRoles)
+    .filter(([, roleId]) => roleId)
+    .map(([platform, roleId]) => `${platform} → <@&${roleId}>`);
+
+  const filterLines = Object.entries(config.filters)
+    .filter(([, filter]) => !isEmptyFilter(filter))
+    .map(([channelId, filter]) => `• <#${channelId}>: ${describeFilter(filter)}`);
+
+  const featureLines = deps.listFeatures()
+    .filter(feature => !feature.required)
+    .map(feature => `${feature.name}: ${config.features[feature.id] === false ? 'off' : 'on'}`);
+
+  return [
+    '⚙️ **Server settings**',
+    `📢 Contest channels:\n${channelLines.length > 0 ? channelLines.join('\n') : '• not set'}`,
+    `🌅 Daily messages: ${config.dailyChannelId ? `<#${config.dailyChannelId}>` : 'not set'}`,
+    `🧩 Platforms: ${config.platforms ? config.platforms.join(', ') : 'all'}`,
+    `⏰ Reminders: ${config.offsets ? config.offsets.join(', ') : 'default'}`,
+    `🔔 Ping: ${config.pingRoleId ? `<@&${config.pingRoleId}>` : '@everyone'}`,
+    `🏷️ Platform roles: ${roleLines.length > 0 ? roleLines.join(', ') : 'none'}`,
+    `🔎 Filters:\n${filterLines.length > 0 ? filterLines.join('\n') : '• none, every contest is posted'}`,
+    `🌅 Daily ping: ${config.dailyRoleId ? `<@&${config.dailyRoleId}>` : 'same as ping'}`,
+    `🌍 Timezone: ${config.timezone}`,
+    `🔌 Features: ${featureLines.length > 0 ? featureLines.join(', ') : 'none'}`
+  ].join('\n');
+}
+
+function parsePlatformList(value, deps) {
+  if (value.trim().toLowerCase() === 'all') return { platforms: null };
+
+  const ids = value.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  const unknown = ids.filter(id => !deps.getProvider(id));
+  if (unknown.length > 0) return { error: `❓ Unknown platforms: ${unknown.join(', ')}` };
+  return { platforms: ids };
+}
+
+function parseOffsetSetting(value) {
+  if (value.trim().toLowerCase() === 'default') return { offsets: null };
+
+  try {
+    return { offsets: parseOffsetList(value).map(offset => offset.key) };
+  } catch (error) {
+    return { error: `❓ ${error.message}` };
+  }
+}
+
+// "all" / "none" clear a list; otherwise a comma-separated list in lower case
+function parseList(value, clearWord) {
+  if (value.trim().toLowerCase() === clearWord) return null;
+  const items = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+// Apply the given options to the channel's current filter
+function parseFilterSetting(interaction, deps) {
+  const options = interaction.options;
+  const channelId = (options.getChannel('channel') || interaction.channel).id;
+  if (options.getBoolean('reset')) return { filters: { [channelId]: null } };
+
+  const current = normalizeFilter(deps.guildConfig.get(interaction.guildId).filters[channelId]);
+  const next = { ...current };
+
+  const platforms = options.getString('platforms');
+  if (platforms !== null) {
+    next.platforms = parseList(platforms, 'all');
+    const unknown = (next.platforms || []).filter(id => !deps.getProvider(id));
+    if (unknown.length > 0) return { error: `❓ Unknown platforms: ${unknown.join(', ')}` };
+  }
+
+  const types = options.getString('types');
+  if (types !== null) {
+    next.types = parseList(types, 'all');
+    const known = new Set(['other', ...deps.getProviders().flatMap(provider => provider.types || [])]);
+    const unknown = (next.types || []).filter(type => !known.has(type));
+    if (unknown.length > 0) {
+      return { error: `❓ Unknown contest types: ${unknown.join(', ')}. Known types: ${[...known].join(', ')}` };
+    }
+  }
+
+  const ratedOnly = options.getBoolean('rated-only');
+  if (ratedOnly !== null) next.ratedOnly = ratedOnly;
+
+  const days = options.getInteger('days');
+  if (days !== null) next.lookaheadDays = days || null;
+
+  const include = options.getString('include');
+  if (include !== null) next.include = parseList(include, 'none') || [];
+
+  const exclude = options.getString('exclude');
+  if (exclude !== null) next.exclude = parseList(exclude, 'none') || [];
+
+  return { filters: { [channelId]: isEmptyFilter(next) ? null : normalizeFilter(next) } };
+}
+
+// Map a platform to an existing role, or create a mentionable one for it
+async function resolvePlatformRole(interaction, provider) {
+  const role = interaction.options.getRole('role');
+  if (role) return role;
+
+  return interaction.guild.roles.create({
+    name: `${provider.name} Contests`,
+    color: provider.color,
+    mentionable: true,
+    reason: `Opt-in ping role for ${provider.name} contest reminders`
+  });
+}
+
+async function postRoleButtons(interaction, deps) {
+  const config = deps.guildConfig.get(interaction.guildId);
+  const buttons = Object.entries(config.platformRoles)
+    .filter(([, roleId]) => roleId)
+    .map(([platformId]) => deps.getProvider(platformId))
+    .filter(Boolean)
+    .slice(0, 5)
+    .map(provider => new ButtonBuilder()
+      .setCustomId(`subscribe_role:${provider.id}`)
+      .setLabel(provider.name)
+      .setStyle(ButtonStyle.Secondary));
+
+  if (buttons.length === 0) {
+    await interaction.reply({ content: '⚠️ No platform roles yet. Set one with `/contests config platform-role` first.', ephemeral: true });
+    return;
+  }
+
+  await interaction.channel.send({
+    content: '🔔 **Contest pings**\n\nPick the platforms you want to be pinged for. Click again to stop.',
+    components: [new ActionRowBuilder().addComponents(buttons)]
+  });
+  await interaction.reply({ content: '✅ Role buttons posted.', ephemeral: true });
+}
+
+// Returns the patch to apply, or { error } to show the admin instead
+async function buildPatch(subcommand, interaction, deps) {
+  const options = interaction.options;
+
+  switch (subcommand) {
+    case 'channel': {
+      const channel = options.getChannel('channel');
+      const platformId = options.getString('platform');
+      if (platformId && !deps.getProvider(platformId)) {
+        return { error: `❓ Unknown platform: ${platformId}` };
+      }
+      return { channels: { [platformId ? platformId.toLowerCase() : 'default']: channel.id } };
+    }
+    case 'daily-channel':
+      return { dailyChannelId: options.getChannel('channel').id };
+    case 'platforms':
+      return parsePlatformList(options.getString('list'), deps);
+    case 'offsets':
+      return parseOffsetSetting(options.getString('list'));
+    case 'role': {
+      const role = options.getRole('role');
+      return { pingRoleId: role ? role.id : null };
+    }
+    case 'platform-role': {
+      const provider = deps.getProvider(options.getString('platform'));
+      if (!provider) return { error: `❓ Unknown platform: ${options.getString('platform')}` };
+      try {
+        const role = await resolvePlatformRole(interaction, provider);
+        return { platformRoles: { [provider.id]: role.id } };
+      } catch (error) {
+        return { error: `⚠️ Could not create the role (does the bot have Manage Roles?): ${error.message}` };
+      }
+    }
+    case 'daily-role': {
+      const role = options.getRole('role');
+      return { dailyRoleId: role ? role.id : null };
+    }
+    case 'timezone': {
+      const timezone = options.getString('timezone');
+      if (!isValidTimezone(timezone)) return { error: `❓ Unknown timezone: ${timezone}` };
+      return { timezone };
+    }
+    case 'filter':
+      return parseFilterSetting(interaction, deps);
+    case 'feature': {
+      const featureId = options.getString('feature');
+      const feature = deps.listFeatures().find(candidate => candidate.id === featureId);
+      if (!feature) return { error: `❓ Unknown feature: ${featureId}` };
+      if (feature.required) return { error: `🔒 ${feature.name} cannot be turned off.` };
+      return { features: { [feature.id]: options.getBoolean('enabled') } };
+    }
+    default:
+      return { error: '❓ Unknown setting' };
+  }
+}
+
+async function handleConfig(interaction, deps) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: '⚠️ Settings can only be changed inside a server.', ephemeral: true });
+    return;
+  }
+  if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 You need the Manage Server permission to do that.', ephemeral: true });
+    return;
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'show') {
+    await interaction.reply({ content: describeConfig(deps.guildConfig.get(interaction.guildId), deps), ephemeral: true });
+    return;
+  }
+  if (subcommand === 'role-buttons') {
+    await postRoleButtons(interaction, deps);
+    return;
+  }
+
+  // Creating a platform role can take longer than the 3-second reply deadline
+  if (subcommand === 'platform-role') await interaction.deferReply({ ephemeral: true });
+  const respond = content => (interaction.deferred
+    ? interaction.editReply(content)
+    : interaction.reply({ content, ephemeral: true }));
+
+  const { error, ...patch } = await buildPatch(subcommand, interaction, deps);
+  if (error) {
+    await respond(error);
+    return;
+  }
+
+  const config = deps.guildConfig.update(interaction.guildId, patch);
+  await respond(`✅ Saved.\n\n${describeConfig(config, deps)}`);
+
+  // Reminders already queued for this guild may now be routed or timed differently
+  await deps.onConfigChanged(interaction.guildId);
+}
+
+module.exports = {
+  addConfigGroup,
+  handleConfig
+};
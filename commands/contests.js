@@ -0,0 +1,397 @@
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits } = require('discord.js');
+const { addConfigGroup, handleConfig } = require('./config');
+const { PREVIEW_TYPES } = require('../preview');
+const { paginateFields, pageFooter } = require('../render');
+const { handleAttendance } = require('./attendance');
+
+const DEFAULT_DAYS = 7;
+// Page buttons: contests_page:<platform id or "all">:<days>:<page>
+const PAGE_BUTTON_PREFIX = 'contests_page:';
+const DEFAULT_LOG_LINES = 10;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_PREVIEWS = 5;
+
+const data = addConfigGroup(new SlashCommandBuilder()
+  .setName('contests')
+  .setDescription('Coding contest reminders')
+  .addSubcommand(sub => sub
+    .setName('upcoming')
+    .setDescription('List upcoming contests')
+    .addStringOption(option => option
+      .setName('platform')
+      .setDescription('Only show contests from this platform')
+      .setAutocomplete(true))
+    .addIntegerOption(option => option
+      .setName('days')
+      .setDescription(`How many days ahead to look (default ${DEFAULT_DAYS})`)
+      .setMinValue(1)
+      .setMaxValue(60)))
+  .addSubcommand(sub => sub
+    .setName('next')
+    .setDescription('Show the next contest on any platform'))
+  .addSubcommand(sub => sub
+    .setName('status')
+    .setDescription('Show bot status and pending reminders'))
+  .addSubcommand(sub => sub
+    .setName('warn')
+    .setDescription('Queue reminders for upcoming contests now (admins only)'))
+  .addSubcommand(sub => sub
+    .setName('logs')
+    .setDescription('Show the most recent log entries (admins only)')
+    .addStringOption(option => option
+      .setName('level')
+      .setDescription('Lowest level to show (default error)')
+      .addChoices(
+        { name: 'error', value: 'error' },
+        { name: 'warn', value: 'warn' },
+        { name: 'info', value: 'info' },
+        { name: 'debug', value: 'debug' }
+      ))
+    .addIntegerOption(option => option
+      .setName('n')
+      .setDescription(`How many entries to show (default ${DEFAULT_LOG_LINES})`)
+      .setMinValue(1)
+      .setMaxValue(50)))
+  .addSubcommand(sub => sub
+    .setName('attendance')
+    .setDescription('RSVPs and participation over the last weeks')
+    .addIntegerOption(option => option
+      .setName('weeks')
+      .setDescription('How many weeks to show (default 4)')
+      .setMinValue(1)
+      .setMaxValue(12)))
+  .addSubcommand(sub => sub
+    .setName('preview')
+    .setDescription('Show what a bot message looks like, only to you (admins only)')
+    .addStringOption(option => option
+      .setName('type')
+      .setDescription('Which message to preview')
+      .setRequired(true)
+      .addChoices(...PREVIEW_TYPES.map(type => ({ name: type, value: type }))))
+    .addStringOption(option => option
+      .setName('platform')
+      .setDescription('Platform for contest messages (default: all, or the first with a contest)')
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('offset')
+      .setDescription('Reminder offset such as 24h, 1h, 10m, start or end (default 10m)'))
+    .addStringOption(option => option
+      .setName('announcement')
+      .setDescription('Announcement id (default: every announcement for this server)')
+      .setAutocomplete(true))));
+
+// Handlers take the interaction plus a `deps` object supplied by index.js:
+//   getProviders()         -> enabled providers, each with the contest `types` it assigns
+//   getProvider(id)        -> provider or null
+//   getContests(provider)  -> upcoming contests for that provider
+//   scheduleReminders()    -> queue reminders, resolves to true on success
+//   getStatus()            -> { lastCheck, pendingReminders, lastSynced, breakers }
+//   discordTimeWithCountdown(ts) -> timestamp markup for a Unix timestamp
+//   formatDuration(minutes) -> contest length such as "1h 30m"
+//   guildConfig            -> per-guild settings store (see guild-config.js)
+//   onConfigChanged(id)    -> called after a guild's settings are saved
+//   readLogs({ level, limit }) -> recent log entries (see logger.js)
+//   adminUserIds           -> bot admins; when set, only they may read logs and previews
+//   buildPreviews(type, options) -> [{ label, payload }] (see preview.js)
+//   announcementStore      -> scheduled announcements (see announcement-store.js)
+//   listFeatures()         -> [{ id, name, required }] for /contests config feature
+
+function contestField(contest, deps) {
+  const provider = deps.getProvider(contest.platform);
+  return {
+    name: `${provider ? provider.name : contest.platform} · ${contest.title}`,
+    value:
+      `📅 ${deps.discordTimeWithCountdown(contest.startTime)}\n` +
+      `⏳ ${deps.formatDuration(contest.duration)}` +
+      (contest.url ? `\n🔗 [Join Now](${contest.url})` : '')
+  };
+}
+
+async function getAllContests(providers, deps) {
+  const lists = await Promise.all(providers.map(provider => deps.getContests(provider)));
+  return lists.flat().sort((a, b) => a.startTime - b.startTime);
+}
+
+// Providers for an optional platform filter, or null if it matches none
+function selectProviders(platformId, deps) {
+  const providers = deps.getProviders();
+  if (!platformId) return providers;
+
+  const selected = providers.filter(provider => provider.id === platformId.toLowerCase());
+  return selected.length > 0 ? selected : null;
+}
+
+async function getUpcoming(providers, days, deps) {
+  const cutoff = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+  return (await getAllContests(providers, deps)).filter(contest => contest.startTime <= cutoff);
+}
+
+function navigationButton(label, { platformId, days, page }, disabled) {
+  return new ButtonBuilder()
+    .setCustomId(`${PAGE_BUTTON_PREFIX}${platformId || 'all'}:${days}:${page}`)
+    .setLabel(label)
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(disabled);
+}
+
+// One page of the upcoming list, with previous/next buttons when it does not fit in one embed
+function renderUpcomingPage(contests, { platformId, days, page }, deps) {
+  const title = `🎉 Upcoming Contests (next ${days} days)`;
+  const pages = paginateFields(contests.map(contest => contestField(contest, deps)), title.length + 64);
+  const index = Math.min(Math.max(page, 0), pages.length - 1);
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor('#0099FF')
+    .addFields(pages[index])
+    .setFooter(pageFooter(index, pages.length));
+
+  if (pages.length === 1) return { embeds: [embed], components: [] };
+
+  const row = new ActionRowBuilder().addComponents(
+    navigationButton('◀ Previous', { platformId, days, page: index - 1 }, index === 0),
+    navigationButton('Next ▶', { platformId, days, page: index + 1 }, index === pages.length - 1)
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+async function handleUpcoming(interaction, deps) {
+  const platformId = interaction.options.getString('platform');
+  const days = interaction.options.getInteger('days') || DEFAULT_DAYS;
+
+  const providers = selectProviders(platformId, deps);
+  if (!providers) {
+    await interaction.reply({ content: `❓ Unknown or disabled platform: ${platformId}`, ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const contests = await getUpcoming(providers, days, deps);
+  if (contests.length === 0) {
+    await interaction.editReply(`📭 No contests in the next ${days} days. Keep practicing! 🚀`);
+    return;
+  }
+
+  await interaction.editReply(renderUpcomingPage(contests, { platformId, days, page: 0 }, deps));
+}
+
+// Previous/next buttons under /contests upcoming. The list is fetched again,
+// so a page turn shows contests added since the command was run.
+async function handleUpcomingPage(interaction, deps) {
+  const [platform, days, page] = interaction.customId.slice(PAGE_BUTTON_PREFIX.length).split(':');
+  const platformId = platform === 'all' ? null : platform;
+  const providers = selectProviders(platformId, deps);
+  if (!providers) {
+    await interaction.update({ content: `❓ Unknown or disabled platform: ${platformId}`, embeds: [], components: [] });
+    return;
+  }
+
+  const contests = await getUpcoming(providers, Number(days), deps);
+  if (contests.length === 0) {
+    await interaction.update({ content: `📭 No contests in the next ${days} days. Keep practicing! 🚀`, embeds: [], components: [] });
+    return;
+  }
+
+  await interaction.update(renderUpcomingPage(contests, { platformId, days: Number(days), page: Number(page) }, deps));
+}
+
+async function handleNext(interaction, deps) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const [next] = await getAllContests(deps.getProviders(), deps);
+  if (!next) {
+    await interaction.editReply('📭 No upcoming contests found. Keep practicing! 🚀');
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle('⏭️ Next Contest')
+    .setColor('#0099FF')
+    .addFields(contestField(next, deps));
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleStatus(interaction, deps) {
+  const status = deps.getStatus();
+  const synced = Object.entries(status.lastSynced)
+    .map(([platform, time]) => {
+      const breaker = status.breakers[platform];
+      return `• ${platform}: ${time || 'never'}` + (breaker && breaker !== 'closed' ? ` ⚡ circuit ${breaker}` : '');
+    })
+    .join('\n');
+
+  await interaction.reply({
+    content:
+      `✅ Bot is running.\n` +
+      `🕒 Last check: ${status.lastCheck || 'No checks yet'}\n` +
+      `⏰ Pending reminders: ${status.pendingReminders}\n` +
+      `🔄 Last synced:\n${synced}`,
+    ephemeral: true
+  });
+}
+
+async function handleWarn(interaction, deps) {
+  if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+    await interaction.reply({ content: '🔒 You need the Manage Server permission to do that.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  const ok = await deps.scheduleReminders();
+  await interaction.editReply(ok ? '⏰ Contest reminders scheduled.' : '⚠️ Scheduling reminders failed, check the logs.');
+}
+
+function formatLogEntry(entry) {
+  const { time, level, message, error, ...context } = entry;
+  const fields = Object.entries(context)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time.slice(5, 19).replace('T', ' ')} ${level.toUpperCase()} ${message}` +
+    (fields ? ` (${fields})` : '') +
+    (error ? ` — ${error.message || error}` : '');
+}
+
+// Logs and previews cover every guild, so with admin users configured only they may use them
+function isBotAdmin(interaction, deps) {
+  return deps.adminUserIds.length > 0
+    ? deps.adminUserIds.includes(interaction.user.id)
+    : Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild));
+}
+
+async function handleLogs(interaction, deps) {
+  if (!isBotAdmin(interaction, deps)) {
+    await interaction.reply({ content: '🔒 Only the bot admin can read the logs.', ephemeral: true });
+    return;
+  }
+
+  const level = interaction.options.getString('level') || 'error';
+  const limit = interaction.options.getInteger('n') || DEFAULT_LOG_LINES;
+  await interaction.deferReply({ ephemeral: true });
+
+  const entries = await deps.readLogs({ level, limit });
+  if (entries.length === 0) {
+    await interaction.editReply(`📭 No ${level} entries in the recent logs.`);
+    return;
+  }
+
+  // Keep the newest lines that fit in one message
+  const lines = [];
+  let length = 0;
+  for (const line of entries.map(formatLogEntry).reverse()) {
+    const trimmed = line.length > 300 ? `${line.slice(0, 297)}...` : line;
+    if (length + trimmed.length + 1 > MAX_MESSAGE_LENGTH - 60) break;
+    lines.unshift(trimmed);
+    length += trimmed.length + 1;
+  }
+
+  await interaction.editReply(`🪵 Last ${lines.length} ${level}+ entries:\n\`\`\`\n${lines.join('\n')}\n\`\`\``);
+}
+
+// Previews are ephemeral and never ping anyone
+async function handlePreview(interaction, deps) {
+  if (!isBotAdmin(interaction, deps)) {
+    await interaction.reply({ content: '🔒 Only the bot admin can preview messages.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const config = interaction.guildId ? deps.guildConfig.get(interaction.guildId) : null;
+  let previews;
+  try {
+    previews = await deps.buildPreviews(interaction.options.getString('type'), {
+      platformId: interaction.options.getString('platform'),
+      offset: interaction.options.getString('offset'),
+      announcementId: interaction.options.getString('announcement'),
+      guildId: interaction.guildId,
+      mention: config && config.pingRoleId ? `<@&${config.pingRoleId}>` : '@everyone',
+      timezone: config ? config.timezone : undefined
+    });
+  } catch (error) {
+    await interaction.editReply(`⚠️ ${error.message}`);
+    return;
+  }
+
+  if (previews.length === 0) {
+    await interaction.editReply('📭 Nothing to preview.');
+    return;
+  }
+
+  const shown = previews.slice(0, MAX_PREVIEWS);
+  for (const [index, { label, payload }] of shown.entries()) {
+    const message = {
+      ...payload,
+      content: `-# 👀 Preview ${index + 1}/${previews.length}: ${label}\n${payload.content || ''}`.slice(0, MAX_MESSAGE_LENGTH),
+      allowedMentions: { parse: [] },
+      ephemeral: true
+    };
+    if (index === 0) {
+      await interaction.editReply(message);
+    } else {
+      await interaction.followUp(message);
+    }
+  }
+}
+
+const handlers = {
+  upcoming: handleUpcoming,
+  next: handleNext,
+  status: handleStatus,
+  warn: handleWarn,
+  logs: handleLogs,
+  attendance: handleAttendance,
+  preview: handlePreview
+};
+
+async function execute(interaction, deps) {
+  if (interaction.options.getSubcommandGroup(false) === 'config') {
+    await handleConfig(interaction, deps);
+    return;
+  }
+
+  const handler = handlers[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction, deps);
+}
+
+async function autocomplete(interaction, deps) {
+  const { name, value } = interaction.options.getFocused(true);
+  const focused = value.toLowerCase();
+
+  if (name === 'feature') {
+    const choices = deps.listFeatures()
+      .filter(feature => !feature.required)
+      .filter(feature => feature.id.includes(focused) || feature.name.toLowerCase().includes(focused))
+      .map(feature => ({ name: feature.name, value: feature.id }));
+    await interaction.respond(choices.slice(0, 25));
+    return;
+  }
+
+  if (name === 'announcement') {
+    const choices = deps.announcementStore.list(interaction.guildId)
+      .filter(announcement => announcement.id.includes(focused))
+      .map(announcement => ({ name: announcement.id, value: announcement.id }));
+    await interaction.respond(choices.slice(0, 25));
+    return;
+  }
+
+  const choices = deps.getProviders()
+    .filter(provider => provider.id.includes(focused) || provider.name.toLowerCase().includes(focused))
+    .map(provider => ({ name: provider.name, value: provider.id }));
+
+  await interaction.respond(choices.slice(0, 25));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete,
+  pageButton: { prefix: PAGE_BUTTON_PREFIX, handle: handleUpcomingPage },
+  handleUpcoming,
+  handleNext,
+  handleStatus,
+  handleWarn,
+  handleLogs,
+  handlePreview
+};
@@ -0,0 +1,142 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { providers } = require('../providers');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   resultsStore                  -> linked handles and rating history (see results-store.js)
+//   checkHandle(provider, handle) -> the handle as the platform spells it, or null
+//   getResultProviders()          -> enabled providers that report results
+
+const HISTORY_LINES = 10;
+
+// Every provider that can report results; disabled ones are rejected when used
+const platformChoices = providers
+  .filter(provider => provider.results)
+  .map(provider => ({ name: provider.name, value: provider.id }));
+
+const linkData = new SlashCommandBuilder()
+  .setName('link')
+  .setDescription('Link your contest handle so your results are posted after each contest')
+  .addStringOption(option => option
+    .setName('platform')
+    .setDescription('Platform the handle is on')
+    .setRequired(true)
+    .addChoices(...platformChoices))
+  .addStringOption(option => option
+    .setName('handle')
+    .setDescription('Your username on that platform')
+    .setRequired(true)
+    .setMaxLength(64));
+
+const unlinkData = new SlashCommandBuilder()
+  .setName('unlink')
+  .setDescription('Stop posting your results for a platform')
+  .addStringOption(option => option
+    .setName('platform')
+    .setDescription('Platform to unlink')
+    .setRequired(true)
+    .addChoices(...platformChoices));
+
+const ratingsData = new SlashCommandBuilder()
+  .setName('ratings')
+  .setDescription('Contest rating history of a member')
+  .addUserOption(option => option
+    .setName('member')
+    .setDescription('Member to show (default: you)'))
+  .addStringOption(option => option
+    .setName('platform')
+    .setDescription('Only show this platform')
+    .addChoices(...platformChoices));
+
+function findResultProvider(platformId, deps) {
+  return deps.getResultProviders().find(provider => provider.id === platformId) || null;
+}
+
+async function executeLink(interaction, deps) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: '⚠️ Link your handle inside a server, so results are posted there.', ephemeral: true });
+    return;
+  }
+
+  const provider = findResultProvider(interaction.options.getString('platform'), deps);
+  if (!provider) {
+    await interaction.reply({ content: '❓ That platform is not enabled on this bot.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const requested = interaction.options.getString('handle').trim();
+  let handle;
+  try {
+    handle = await deps.checkHandle(provider, requested);
+  } catch (error) {
+    await interaction.editReply(`⚠️ Could not reach ${provider.name} to check that handle. Try again later.`);
+    return;
+  }
+  if (!handle) {
+    await interaction.editReply(`❓ No ${provider.name} user named **${requested}**.`);
+    return;
+  }
+
+  deps.resultsStore.link(interaction.guildId, interaction.user.id, provider.id, handle);
+  await interaction.editReply(`🔗 Linked ${provider.name} handle **${handle}**. Your results will be posted after each ${provider.name} contest.`);
+}
+
+async function executeUnlink(interaction, deps) {
+  const platformId = interaction.options.getString('platform');
+  const provider = deps.getProvider(platformId);
+  const removed = interaction.guildId && deps.resultsStore.unlink(interaction.guildId, interaction.user.id, platformId);
+
+  await interaction.reply({
+    content: removed
+      ? `✂️ Unlinked your ${provider ? provider.name : platformId} handle. Your rating history is kept.`
+      : `ℹ️ You have no ${provider ? provider.name : platformId} handle linked in this server.`,
+    ephemeral: true
+  });
+}
+
+function historyLine(entry) {
+  const delta = entry.newRating - entry.oldRating;
+  return `• ${entry.title}: #${entry.rank} · ${entry.oldRating} → **${entry.newRating}** (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+async function executeRatings(interaction, deps) {
+  const user = interaction.options.getUser('member') || interaction.user;
+  const platformId = interaction.options.getString('platform');
+  const platforms = deps.getResultProviders().filter(provider => !platformId || provider.id === platformId);
+  const links = interaction.guildId ? deps.resultsStore.getLinks(interaction.guildId, user.id) : {};
+
+  const fields = platforms
+    .map(provider => ({ provider, history: deps.resultsStore.getRatingHistory(user.id, provider.id) }))
+    .filter(({ provider, history }) => history.length > 0 || links[provider.id])
+    .map(({ provider, history }) => {
+      const latest = history[history.length - 1];
+      const header = `${links[provider.id] ? `🔗 ${links[provider.id]}` : 'not linked'}` +
+        (latest ? ` · current rating **${latest.newRating}** after ${history.length} contests` : ' · no rated contests yet');
+      const lines = history.slice(-HISTORY_LINES).reverse().map(historyLine);
+      return { name: provider.name, value: [header, ...lines].join('\n').slice(0, 1024) };
+    });
+
+  if (fields.length === 0) {
+    await interaction.reply({
+      content: user.id === interaction.user.id
+        ? '📭 No rating history yet. Link a handle with `/link` and it fills in after your next contest.'
+        : `📭 No rating history for ${user.username} yet.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📈 Ratings for ${user.username}`)
+    .setColor('#0099FF')
+    .addFields(fields);
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  link: { data: linkData, execute: executeLink },
+  unlink: { data: unlinkData, execute: executeUnlink },
+  ratings: { data: ratingsData, execute: executeRatings }
+};
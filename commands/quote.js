@@ -0,0 +1,181 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { WEEKDAYS, formatQuote } = require('../quote-store');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   quoteStore   -> quote library and approval queue (see quote-store.js)
+//   adminUserIds -> bot admins (ADMIN_IDS)
+
+const categoryOption = option => option
+  .setName('category')
+  .setDescription('Category, e.g. "motivation" or "dsa-tip"')
+  .setAutocomplete(true);
+
+const data = new SlashCommandBuilder()
+  .setName('quote')
+  .setDescription('Motivational quotes and tips')
+  .addSubcommand(sub => sub
+    .setName('random')
+    .setDescription('Get a quote right now')
+    .addStringOption(categoryOption))
+  .addSubcommand(sub => sub
+    .setName('submit')
+    .setDescription('Suggest a quote; a bot admin will review it')
+    .addStringOption(option => option
+      .setName('text')
+      .setDescription('The quote')
+      .setMaxLength(500)
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('author')
+      .setDescription('Who said it')
+      .setMaxLength(100))
+    .addStringOption(categoryOption))
+  .addSubcommand(sub => sub
+    .setName('pending')
+    .setDescription('Show submitted quotes waiting for review (bot admins only)'))
+  .addSubcommand(sub => sub
+    .setName('approve')
+    .setDescription('Add a submitted quote to the library (bot admins only)')
+    .addIntegerOption(option => option
+      .setName('id')
+      .setDescription('Quote id from /quote pending')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('reject')
+    .setDescription('Discard a submitted quote (bot admins only)')
+    .addIntegerOption(option => option
+      .setName('id')
+      .setDescription('Quote id from /quote pending')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('theme')
+    .setDescription('Use a quote category on one weekday, e.g. DSA tips on Mondays (bot admins only)')
+    .addStringOption(option => option
+      .setName('day')
+      .setDescription('Weekday')
+      .addChoices(...WEEKDAYS.map(day => ({ name: day, value: day })))
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('category')
+      .setDescription('Category to use that day; leave empty to remove the theme')
+      .setAutocomplete(true)));
+
+// The library, queue and themes are shared by every server, so only bot admins
+// moderate them. Without ADMIN_IDS, members with Manage Messages may, as long
+// as the bot is in a single server.
+function isModerator(interaction, deps) {
+  if (deps.adminUserIds.length > 0) return deps.adminUserIds.includes(interaction.user.id);
+  return interaction.client.guilds.cache.size <= 1 &&
+    Boolean(interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageMessages));
+}
+
+async function denyUnlessModerator(interaction, deps) {
+  if (isModerator(interaction, deps)) return false;
+  await interaction.reply({ content: '🔒 Only the bot admin can moderate the quote library.', ephemeral: true });
+  return true;
+}
+
+async function handleRandom(interaction, deps) {
+  const category = interaction.options.getString('category');
+  // On-demand draws have their own rotation, so they never use up the daily posts' quotes
+  const quote = deps.quoteStore.nextQuote(category ? category.toLowerCase() : undefined, { rotation: 'on-demand' });
+  if (!quote) {
+    await interaction.reply({ content: `📭 No quotes in "${category}" yet. Add one with \`/quote submit\`!`, ephemeral: true });
+    return;
+  }
+
+  await interaction.reply({ content: `> ${formatQuote(quote)}`, ephemeral: true });
+}
+
+async function handleSubmit(interaction, deps) {
+  const quote = deps.quoteStore.submit({
+    text: interaction.options.getString('text'),
+    author: interaction.options.getString('author'),
+    category: interaction.options.getString('category'),
+    submittedBy: interaction.user.id
+  });
+
+  await interaction.reply({
+    content: `🙏 Thanks! Quote #${quote.id} is waiting for a moderator to approve it.`,
+    ephemeral: true
+  });
+}
+
+async function handlePending(interaction, deps) {
+  if (await denyUnlessModerator(interaction, deps)) return;
+
+  const pending = deps.quoteStore.getPending();
+  if (pending.length === 0) {
+    await interaction.reply({ content: '✅ No quotes waiting for review.', ephemeral: true });
+    return;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 Pending Quotes (${pending.length})`)
+    .setColor('#FFA500')
+    .addFields(pending.slice(0, 25).map(quote => ({
+      name: `#${quote.id} · ${quote.category}`,
+      value: `${formatQuote(quote)}\nSubmitted by <@${quote.submittedBy}>`.slice(0, 1024)
+    })));
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleReview(interaction, deps, approved) {
+  if (await denyUnlessModerator(interaction, deps)) return;
+
+  const id = interaction.options.getInteger('id');
+  const quote = deps.quoteStore.review(id, approved, interaction.user.id);
+  await interaction.reply({
+    content: quote
+      ? `${approved ? '✅ Approved' : '🗑️ Rejected'} quote #${id}.`
+      : `❓ No pending quote #${id}.`,
+    ephemeral: true
+  });
+}
+
+async function handleTheme(interaction, deps) {
+  if (await denyUnlessModerator(interaction, deps)) return;
+
+  const day = interaction.options.getString('day');
+  const category = interaction.options.getString('category');
+  if (category && !deps.quoteStore.getCategories().includes(category.toLowerCase())) {
+    await interaction.reply({ content: `❓ No approved quotes in "${category}".`, ephemeral: true });
+    return;
+  }
+
+  deps.quoteStore.setTheme(day, category ? category.toLowerCase() : null);
+  await interaction.reply({
+    content: category ? `📅 ${day} now uses "${category.toLowerCase()}" quotes.` : `📅 ${day} no longer has a theme.`,
+    ephemeral: true
+  });
+}
+
+const handlers = {
+  random: handleRandom,
+  submit: handleSubmit,
+  pending: handlePending,
+  approve: (interaction, deps) => handleReview(interaction, deps, true),
+  reject: (interaction, deps) => handleReview(interaction, deps, false),
+  theme: handleTheme
+};
+
+async function execute(interaction, deps) {
+  const handler = handlers[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction, deps);
+}
+
+async function autocomplete(interaction, deps) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = deps.quoteStore.getCategories()
+    .filter(category => category.includes(focused))
+    .map(category => ({ name: category, value: category }));
+
+  await interaction.respond(choices.slice(0, 25));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete
+};
@@ -0,0 +1,138 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const { dateKey, shiftDay } = require('../poll-store');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   revisionStore -> posted revision reminders and their tallies (see revision-store.js)
+
+const RANGE_DAYS = {
+  week: 7,
+  month: 30
+};
+
+const data = new SlashCommandBuilder()
+  .setName('revision')
+  .setDescription('Revision reminder attendance (mentors only)')
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+  .setDMPermission(false)
+  .addSubcommand(sub => sub
+    .setName('report')
+    .setDescription('Who acknowledged the revision reminders')
+    .addStringOption(option => option
+      .setName('year')
+      .setDescription('Cohort, e.g. "2nd Year" (default: all)')
+      .setAutocomplete(true))
+    .addStringOption(option => option
+      .setName('range')
+      .setDescription('Time range (default: last 7 days)')
+      .addChoices(
+        { name: 'Last 7 days', value: 'week' },
+        { name: 'Last 30 days', value: 'month' },
+        { name: 'All time', value: 'all' }
+      )))
+  .addSubcommand(sub => sub
+    .setName('roster')
+    .setDescription('Set the role whose members make up a cohort')
+    .addStringOption(option => option
+      .setName('year')
+      .setDescription('Cohort, e.g. "2nd Year"')
+      .setAutocomplete(true)
+      .setRequired(true))
+    .addRoleOption(option => option
+      .setName('role')
+      .setDescription('Role held by every student in the cohort')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('nudges')
+    .setDescription('DM students who did not acknowledge by the end of the day')
+    .addBooleanOption(option => option
+      .setName('enabled')
+      .setDescription('Send the nudge DMs')
+      .setRequired(true)));
+
+function cohortNames(interaction, deps) {
+  const configured = Object.keys(deps.guildConfig.get(interaction.guildId).cohortRoles);
+  return [...new Set([...configured, ...deps.revisionStore.listCohorts(interaction.guildId)])];
+}
+
+async function handleReport(interaction, deps) {
+  const cohort = interaction.options.getString('year');
+  const range = interaction.options.getString('range') || 'week';
+  const today = dateKey(new Date(), deps.guildConfig.get(interaction.guildId).timezone);
+  const sinceDay = RANGE_DAYS[range] ? shiftDay(today, -(RANGE_DAYS[range] - 1)) : null;
+
+  const report = deps.revisionStore.getReport(interaction.guildId, { cohort, sinceDay });
+  if (report.reminders === 0) {
+    await interaction.reply({ content: '📭 No tallied revision reminders in that range yet.', ephemeral: true });
+    return;
+  }
+
+  const lines = report.members.map(member => {
+    const percent = Math.round(member.acknowledged / member.total * 100);
+    return `<@${member.userId}> — ${member.acknowledged}/${member.total} (${percent}%)`;
+  });
+
+  // Keep within the embed description limit; lowest attendance is listed first
+  let description = '';
+  for (const line of lines) {
+    if (description.length + line.length + 1 > 4000) {
+      description += '\n…';
+      break;
+    }
+    description += `${description ? '\n' : ''}${line}`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📋 Revision Report — ${cohort || 'All cohorts'}`)
+    .setColor('#0099FF')
+    .setDescription(description || 'No roster members recorded.')
+    .setFooter({ text: `${report.reminders} reminders since ${sinceDay || 'the beginning'}` });
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleRoster(interaction, deps) {
+  const cohort = interaction.options.getString('year').trim();
+  const role = interaction.options.getRole('role');
+
+  deps.guildConfig.update(interaction.guildId, { cohortRoles: { [cohort]: role.id } });
+  await interaction.reply({ content: `✅ ${cohort} roster is now everyone with <@&${role.id}>.`, ephemeral: true });
+}
+
+async function handleNudges(interaction, deps) {
+  const enabled = interaction.options.getBoolean('enabled');
+
+  deps.guildConfig.update(interaction.guildId, { revisionNudges: enabled });
+  await interaction.reply({
+    content: enabled ? '📬 Students who miss a revision reminder will get a DM nudge.' : '🔕 Revision nudge DMs turned off.',
+    ephemeral: true
+  });
+}
+
+const handlers = {
+  report: handleReport,
+  roster: handleRoster,
+  nudges: handleNudges
+};
+
+async function execute(interaction, deps) {
+  const handler = handlers[interaction.options.getSubcommand()];
+  if (handler) await handler(interaction, deps);
+}
+
+async function autocomplete(interaction, deps) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = cohortNames(interaction, deps)
+    .filter(name => name.toLowerCase().includes(focused))
+    .map(name => ({ name, value: name }));
+
+  await interaction.respond(choices.slice(0, 25));
+}
+
+module.exports = {
+  data,
+  execute,
+  autocomplete,
+  handleReport,
+  handleRoster,
+  handleNudges
+};
@@ -0,0 +1,78 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { dateKey } = require('../poll-store');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   pollStore -> daily solve-count votes (see poll-store.js)
+
+const PERIOD_LABELS = {
+  week: 'This Week',
+  month: 'This Month',
+  all: 'All Time'
+};
+
+const leaderboardData = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('Who solved the most problems')
+  .addStringOption(option => option
+    .setName('period')
+    .setDescription('Time range (default: this week)')
+    .addChoices(
+      { name: 'This week', value: 'week' },
+      { name: 'This month', value: 'month' },
+      { name: 'All time', value: 'all' }
+    ));
+
+const myStatsData = new SlashCommandBuilder()
+  .setName('mystats')
+  .setDescription('Your solve counts and streaks');
+
+function today(interaction, deps) {
+  const timezone = interaction.guildId ? deps.guildConfig.get(interaction.guildId).timezone : undefined;
+  return dateKey(new Date(), timezone);
+}
+
+async function executeLeaderboard(interaction, deps) {
+  const period = interaction.options.getString('period') || 'week';
+  const leaderboard = deps.pollStore.getLeaderboard(interaction.guildId, period, today(interaction, deps));
+
+  if (leaderboard.length === 0) {
+    await interaction.reply({ content: '📭 No poll votes yet for this period. Answer the good-night poll to get on the board! 🌙', ephemeral: true });
+    return;
+  }
+
+  const medals = ['🥇', '🥈', '🥉'];
+  const lines = leaderboard.slice(0, 10).map((entry, index) =>
+    `${medals[index] || `${index + 1}.`} <@${entry.userId}> — **${entry.total}** solved` +
+    (entry.streak.current > 0 ? ` · 🔥 ${entry.streak.current}` : ''));
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 Leaderboard — ${PERIOD_LABELS[period]}`)
+    .setColor('#FFD700')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `${leaderboard.length} members voted` });
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function executeMyStats(interaction, deps) {
+  const stats = deps.pollStore.getUserStats(interaction.guildId, interaction.user.id, today(interaction, deps));
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📈 Stats for ${interaction.user.username}`)
+    .setColor('#0099FF')
+    .addFields(
+      { name: 'Today', value: String(stats.today), inline: true },
+      { name: 'This Week', value: String(stats.week), inline: true },
+      { name: 'This Month', value: String(stats.month), inline: true },
+      { name: 'All Time', value: `${stats.total} solved over ${stats.daysVoted} days`, inline: true },
+      { name: '🔥 Current Streak', value: `${stats.streak.current} days`, inline: true },
+      { name: '🏅 Best Streak', value: `${stats.streak.best} days`, inline: true }
+    );
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+  leaderboard: { data: leaderboardData, execute: executeLeaderboard },
+  myStats: { data: myStatsData, execute: executeMyStats }
+};
@@ -0,0 +1,210 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { parseTimeOfDay } = require('../subscriptions');
+const { isValidTimezone } = require('../guild-config');
+
+// Handlers use these deps from index.js on top of the ones in ./contests.js:
+//   subscriptions -> per-user DM and quiet-hours store (see subscriptions.js)
+
+const platformsOption = option => option
+  .setName('platforms')
+  .setDescription('Platform ids separated by spaces or commas, e.g. "leetcode codechef", or "all"')
+  .setRequired(true);
+
+const subscribeData = new SlashCommandBuilder()
+  .setName('subscribe')
+  .setDescription('Get pinged (or DMed) for contests on the platforms you pick')
+  .addStringOption(platformsOption)
+  .addBooleanOption(option => option
+    .setName('dm')
+    .setDescription('Also send the reminders to you in a direct message'));
+
+const unsubscribeData = new SlashCommandBuilder()
+  .setName('unsubscribe')
+  .setDescription('Stop contest pings and DMs for the platforms you pick')
+  .addStringOption(platformsOption);
+
+const quietHoursData = new SlashCommandBuilder()
+  .setName('quiet-hours')
+  .setDescription('Pause reminder DMs during these hours (leave empty to turn off)')
+  .addStringOption(option => option
+    .setName('start')
+    .setDescription('Start time, 24-hour HH:MM, e.g. 23:00'))
+  .addStringOption(option => option
+    .setName('end')
+    .setDescription('End time, 24-hour HH:MM, e.g. 07:00'))
+  .addStringOption(option => option
+    .setName('timezone')
+    .setDescription('IANA timezone, e.g. Asia/Kolkata (default: your /timezone)')
+    .setAutocomplete(true));
+
+const timezoneData = new SlashCommandBuilder()
+  .setName('timezone')
+  .setDescription('Set the timezone used for times in your DMs (leave empty to see it)')
+  .addStringOption(option => option
+    .setName('timezone')
+    .setDescription('IANA timezone, e.g. Asia/Kolkata or America/New_York')
+    .setAutocomplete(true));
+
+function parsePlatforms(value, deps) {
+  const providers = deps.getProviders();
+  if (value.trim().toLowerCase() === 'all') return { platforms: providers };
+
+  const ids = value.split(/[\s,]+/).map(id => id.toLowerCase()).filter(Boolean);
+  const platforms = providers.filter(provider => ids.includes(provider.id));
+  const unknown = ids.filter(id => !platforms.some(provider => provider.id === id));
+  return { platforms, unknown };
+}
+
+// Add or remove the member's platform roles; returns the names changed
+async function updateRoles(interaction, deps, platforms, add) {
+  if (!interaction.guildId || !interaction.member) return [];
+
+  const config = deps.guildConfig.get(interaction.guildId);
+  const changed = [];
+  for (const provider of platforms) {
+    const roleId = config.platformRoles[provider.id];
+    if (!roleId) continue;
+
+    if (add) {
+      await interaction.member.roles.add(roleId);
+    } else {
+      await interaction.member.roles.remove(roleId);
+    }
+    changed.push(provider.name);
+  }
+  return changed;
+}
+
+async function executeSubscribe(interaction, deps) {
+  const { platforms, unknown } = parsePlatforms(interaction.options.getString('platforms'), deps);
+  if (platforms.length === 0) {
+    await interaction.reply({ content: `❓ Unknown platforms: ${unknown.join(', ')}`, ephemeral: true });
+    return;
+  }
+
+  const lines = [];
+  try {
+    const roles = await updateRoles(interaction, deps, platforms, true);
+    if (roles.length > 0) lines.push(`🔔 You will be pinged for: ${roles.join(', ')}`);
+  } catch (error) {
+    lines.push(`⚠️ Could not assign roles: ${error.message}`);
+  }
+
+  if (interaction.options.getBoolean('dm')) {
+    deps.subscriptions.addDmPlatforms(interaction.user.id, platforms.map(provider => provider.id));
+    lines.push(`📬 You will get DMs for: ${platforms.map(provider => provider.name).join(', ')}`);
+  }
+
+  if (lines.length === 0) {
+    lines.push('ℹ️ This server has no ping roles for those platforms yet. Add `dm: True` to get DMs instead.');
+  }
+  if (unknown && unknown.length > 0) lines.push(`❓ Ignored unknown platforms: ${unknown.join(', ')}`);
+
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function executeUnsubscribe(interaction, deps) {
+  const { platforms, unknown } = parsePlatforms(interaction.options.getString('platforms'), deps);
+  if (platforms.length === 0) {
+    await interaction.reply({ content: `❓ Unknown platforms: ${unknown.join(', ')}`, ephemeral: true });
+    return;
+  }
+
+  const lines = [];
+  try {
+    const roles = await updateRoles(interaction, deps, platforms, false);
+    if (roles.length > 0) lines.push(`🔕 No more pings for: ${roles.join(', ')}`);
+  } catch (error) {
+    lines.push(`⚠️ Could not remove roles: ${error.message}`);
+  }
+
+  deps.subscriptions.removeDmPlatforms(interaction.user.id, platforms.map(provider => provider.id));
+  lines.push(`📭 No more DMs for: ${platforms.map(provider => provider.name).join(', ')}`);
+  if (unknown && unknown.length > 0) lines.push(`❓ Ignored unknown platforms: ${unknown.join(', ')}`);
+
+  await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+}
+
+async function executeQuietHours(interaction, deps) {
+  const start = interaction.options.getString('start');
+  const end = interaction.options.getString('end');
+
+  if (!start && !end) {
+    deps.subscriptions.setQuietHours(interaction.user.id, null);
+    await interaction.reply({ content: '🔔 Quiet hours turned off.', ephemeral: true });
+    return;
+  }
+  if (!start || !end || parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+    await interaction.reply({ content: '❓ Give both start and end as 24-hour HH:MM, e.g. 23:00 and 07:00.', ephemeral: true });
+    return;
+  }
+
+  // Without an explicit timezone the quiet hours follow the user's /timezone
+  const timezone = interaction.options.getString('timezone') || null;
+  if (timezone && !isValidTimezone(timezone)) {
+    await interaction.reply({ content: `❓ Unknown timezone: ${timezone}`, ephemeral: true });
+    return;
+  }
+
+  deps.subscriptions.setQuietHours(interaction.user.id, { start, end, timezone });
+  const effectiveTimezone = timezone || deps.subscriptions.getTimezone(interaction.user.id);
+  await interaction.reply({ content: `🌙 No reminder DMs between ${start} and ${end} (${effectiveTimezone}).`, ephemeral: true });
+}
+
+async function executeTimezone(interaction, deps) {
+  const timezone = interaction.options.getString('timezone');
+
+  if (!timezone) {
+    await interaction.reply({ content: `🌍 Your timezone is ${deps.subscriptions.getTimezone(interaction.user.id)}.`, ephemeral: true });
+    return;
+  }
+  if (!isValidTimezone(timezone)) {
+    await interaction.reply({ content: `❓ Unknown timezone: ${timezone}`, ephemeral: true });
+    return;
+  }
+
+  deps.subscriptions.setTimezone(interaction.user.id, timezone);
+  await interaction.reply({ content: `🌍 Times in your DMs will now be shown in ${timezone}.`, ephemeral: true });
+}
+
+// Suggest IANA zone names matching what the user has typed so far
+async function autocompleteTimezone(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  const choices = Intl.supportedValuesOf('timeZone')
+    .filter(zone => zone.toLowerCase().includes(focused))
+    .slice(0, 25)
+    .map(zone => ({ name: zone, value: zone }));
+
+  await interaction.respond(choices);
+}
+
+// Self-assign buttons posted by `/contests config role-buttons`
+async function handleRoleButton(interaction, deps) {
+  const platformId = interaction.customId.split(':')[1];
+  const provider = deps.getProvider(platformId);
+  const roleId = provider && deps.guildConfig.get(interaction.guildId).platformRoles[provider.id];
+  if (!roleId) {
+    await interaction.reply({ content: '⚠️ That role is no longer set up.', ephemeral: true });
+    return;
+  }
+
+  const hasRole = interaction.member.roles.cache.has(roleId);
+  if (hasRole) {
+    await interaction.member.roles.remove(roleId);
+  } else {
+    await interaction.member.roles.add(roleId);
+  }
+
+  await interaction.reply({
+    content: hasRole ? `🔕 No more ${provider.name} pings.` : `🔔 You will be pinged for ${provider.name} contests.`,
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  subscribe: { data: subscribeData, execute: executeSubscribe },
+  unsubscribe: { data: unsubscribeData, execute: executeUnsubscribe },
+  quietHours: { data: quietHoursData, execute: executeQuietHours, autocomplete: autocompleteTimezone },
+  timezone: { data: timezoneData, execute: executeTimezone, autocomplete: autocompleteTimezone },
+  roleButton: { prefix: 'subscribe_role:', handle: handleRoleButton }
+};
@@ -0,0 +1,203 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { fetchContests } = require('./providers');
+
+const DEFAULTS = {
+  retries: 3,
+  baseDelayMs: 2000,
+  maxDelayMs: 30000,
+  cacheTtlMs: 5 * 60 * 1000,
+  failureThreshold: 3,
+  cooldownMs: 10 * 60 * 1000
+};
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms)
+};
+
+// Wraps an axios-like client so repeated requests send If-None-Match /
+// If-Modified-Since, and a 304 answer reuses the body we already have.
+// APIs without ETag or Last-Modified headers behave exactly as before.
+function createConditionalHttp(http = axios) {
+  const validators = new Map();
+
+  async function request(method, url, data, config = {}) {
+    const key = `${method} ${url} ${JSON.stringify(config.params || {})} ${data ? JSON.stringify(data) : ''}`;
+    const known = validators.get(key);
+
+    const headers = { ...config.headers };
+    if (known && known.etag) headers['If-None-Match'] = known.etag;
+    if (known && known.lastModified) headers['If-Modified-Since'] = known.lastModified;
+    const conditionalConfig = {
+      ...config,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    };
+
+    const response = method === 'post'
+      ? await http.post(url, data, conditionalConfig)
+      : await http.get(url, conditionalConfig);
+
+    if (response.status === 304) {
+      if (known) return { ...response, status: 200, data: known.data, notModified: true };
+      throw new Error(`${url} answered 304 without a cached response`);
+    }
+
+    const responseHeaders = response.headers || {};
+    const etag = responseHeaders.etag;
+    const lastModified = responseHeaders['last-modified'];
+    if (etag || lastModified) {
+      validators.set(key, { etag, lastModified, data: response.data });
+    }
+    return response;
+  }
+
+  return {
+    get: (url, config) => request('get', url, null, config),
+    post: (url, data, config) => request('post', url, data, config)
+  };
+}
+
+// Fetches contest lists for providers with:
+//   - exponential backoff with full jitter between attempts,
+//   - a per-platform circuit breaker (closed -> open -> half-open -> closed),
+//   - a short-TTL cache, with concurrent callers sharing one request.
+// `fetch(provider)` resolves to { contests, fetchedAt, fresh } or to null when
+// the platform is unavailable, so callers can fall back to last-known data.
+// Events: 'attempt' (platformId, attempt), 'failure' (platformId, error, attempt),
+// 'retry' (platformId, delayMs, attempt) and 'breaker' (platformId, state, details).
+function createContestFetcher({
+  http = createConditionalHttp(),
+  clock = realClock,
+  random = Math.random,
+  ...options
+} = {}) {
+  const settings = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) settings[key] = value;
+  });
+
+  const emitter = new EventEmitter();
+  const cache = new Map();
+  const inFlight = new Map();
+  const breakers = new Map();
+
+  function backoffDelay(attempt) {
+    const cap = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+    return Math.floor(random() * cap);
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => clock.setTimeout(resolve, ms));
+  }
+
+  function getBreaker(platformId) {
+    if (!breakers.has(platformId)) {
+      breakers.set(platformId, { state: 'closed', failures: 0, openedAt: null });
+    }
+    return breakers.get(platformId);
+  }
+
+  function setBreakerState(platformId, breaker, state) {
+    if (breaker.state === state) return;
+    breaker.state = state;
+    emitter.emit('breaker', platformId, state, {
+      failures: breaker.failures,
+      retryAt: state === 'open' ? new Date(breaker.openedAt + settings.cooldownMs).toISOString() : null
+    });
+  }
+
+  // An open breaker fails fast until the cooldown is over, then lets one trial through
+  function allowRequest(platformId) {
+    const breaker = getBreaker(platformId);
+    if (breaker.state !== 'open') return true;
+    if (clock.now() - breaker.openedAt < settings.cooldownMs) return false;
+
+    setBreakerState(platformId, breaker, 'half-open');
+    return true;
+  }
+
+  function recordSuccess(platformId) {
+    const breaker = getBreaker(platformId);
+    breaker.failures = 0;
+    setBreakerState(platformId, breaker, 'closed');
+  }
+
+  function recordFailure(platformId) {
+    const breaker = getBreaker(platformId);
+    breaker.failures++;
+    // A failed half-open trial re-opens the breaker for another cooldown
+    if (breaker.state !== 'half-open' && breaker.failures < settings.failureThreshold) return;
+
+    breaker.openedAt = clock.now();
+    setBreakerState(platformId, breaker, 'open');
+  }
+
+  async function fetchWithBackoff(provider, retries) {
+    for (let attempt = 0; ; attempt++) {
+      emitter.emit('attempt', provider.id, attempt);
+      try {
+        return await fetchContests(provider, http);
+      } catch (error) {
+        emitter.emit('failure', provider.id, error, attempt);
+        if (attempt >= retries) throw error;
+
+        const delay = backoffDelay(attempt);
+        emitter.emit('retry', provider.id, delay, attempt);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function fetch(provider) {
+    const cached = cache.get(provider.id);
+    if (cached && clock.now() - cached.fetchedAt < settings.cacheTtlMs) {
+      return { ...cached, fresh: false };
+    }
+
+    // Callers that join a request already in flight get the result as cached
+    if (inFlight.has(provider.id)) {
+      const result = await inFlight.get(provider.id);
+      return result && { ...result, fresh: false };
+    }
+
+    if (!allowRequest(provider.id)) return null;
+
+    // A half-open trial gets a single attempt
+    const retries = getBreaker(provider.id).state === 'half-open' ? 0 : settings.retries;
+    const request = fetchWithBackoff(provider, retries)
+      .then(contests => {
+        recordSuccess(provider.id);
+        const entry = { contests, fetchedAt: clock.now() };
+        cache.set(provider.id, entry);
+        return { ...entry, fresh: true };
+      }, () => {
+        recordFailure(provider.id);
+        return null;
+      })
+      .finally(() => inFlight.delete(provider.id));
+
+    inFlight.set(provider.id, request);
+    return request;
+  }
+
+  function getBreakerStates() {
+    return Object.fromEntries([...breakers].map(([platformId, breaker]) => [platformId, breaker.state]));
+  }
+
+  function invalidate(platformId) {
+    cache.delete(platformId);
+  }
+
+  return Object.assign(emitter, {
+    fetch,
+    getBreakerStates,
+    invalidate
+  });
+}
+
+module.exports = {
+  createConditionalHttp,
+  createContestFetcher
+};
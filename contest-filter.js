@@ -0,0 +1,97 @@
+// Per-channel rules for which contests a channel hears about. Filters are
+// stored in the guild config under `filters`, keyed by channel id:
+//   platforms     -> platform ids, or null for every platform the guild follows
+//   types         -> contest types from the providers' `types` lists
+//                    (weekly, starters, div2, ... or "other"), or null for all
+//   ratedOnly     -> only contests the platform marks as rated
+//   lookaheadDays -> only contests starting within this many days, or null
+//   include       -> title keywords; when set, a title must contain one of them
+//   exclude       -> title keywords; a title containing any of them is dropped
+const DAY_SECONDS = 24 * 60 * 60;
+
+function emptyFilter() {
+  return {
+    platforms: null,
+    types: null,
+    ratedOnly: false,
+    lookaheadDays: null,
+    include: [],
+    exclude: []
+  };
+}
+
+function normalizeList(list) {
+  if (!Array.isArray(list)) return null;
+  const items = [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+  return items.length > 0 ? items : null;
+}
+
+// Fill in missing rules; a stored filter may predate some of them
+function normalizeFilter(filter) {
+  const base = emptyFilter();
+  if (!filter) return base;
+
+  return {
+    platforms: normalizeList(filter.platforms),
+    types: normalizeList(filter.types),
+    ratedOnly: filter.ratedOnly === true,
+    lookaheadDays: Number.isInteger(filter.lookaheadDays) && filter.lookaheadDays > 0 ? filter.lookaheadDays : null,
+    include: normalizeList(filter.include) || base.include,
+    exclude: normalizeList(filter.exclude) || base.exclude
+  };
+}
+
+function isEmptyFilter(filter) {
+  const rules = normalizeFilter(filter);
+  return !rules.platforms && !rules.types && !rules.ratedOnly && !rules.lookaheadDays &&
+    rules.include.length === 0 && rules.exclude.length === 0;
+}
+
+// `options`:
+//   now                  -> current time in ms (default Date.now())
+//   lookahead            -> false to ignore lookaheadDays, for reminders and
+//                           updates about contests the channel already follows
+//   defaultLookaheadDays -> window used when the filter sets none (digests)
+function matchesFilter(contest, filter, { now = Date.now(), lookahead = true, defaultLookaheadDays = null } = {}) {
+  const rules = normalizeFilter(filter);
+  const title = (contest.title || '').toLowerCase();
+
+  if (rules.platforms && !rules.platforms.includes(contest.platform)) return false;
+  if (rules.types && !rules.types.includes(contest.type || 'other')) return false;
+  if (rules.ratedOnly && contest.rated !== true) return false;
+  if (rules.include.length > 0 && !rules.include.some(keyword => title.includes(keyword))) return false;
+  if (rules.exclude.some(keyword => title.includes(keyword))) return false;
+
+  const days = rules.lookaheadDays || defaultLookaheadDays;
+  if (lookahead && days && contest.startTime > Math.floor(now / 1000) + days * DAY_SECONDS) return false;
+  return true;
+}
+
+function applyFilter(contests, filter, options) {
+  return contests.filter(contest => matchesFilter(contest, filter, options));
+}
+
+// One line for /contests config show, e.g.
+// "codeforces · div2, educational · rated only · next 14 days · +"round" · -"kotlin""
+function describeFilter(filter) {
+  const rules = normalizeFilter(filter);
+  const parts = [
+    rules.platforms && rules.platforms.join(', '),
+    rules.types && rules.types.join(', '),
+    rules.ratedOnly && 'rated only',
+    rules.lookaheadDays && `next ${rules.lookaheadDays} days`,
+    ...rules.include.map(keyword => `+"${keyword}"`),
+    ...rules.exclude.map(keyword => `-"${keyword}"`)
+  ].filter(Boolean);
+
+  return parts.length > 0 ? parts.join(' · ') : 'everything';
+}
+
+module.exports = {
+  emptyFilter,
+  normalizeFilter,
+  isEmptyFilter,
+  matchesFilter,
+  applyFilter,
+  describeFilter
+};
@@ -0,0 +1,93 @@
+const { EventEmitter } = require('events');
+const { dataPath, loadJson, saveJson } = require('./json-store');
+
+// Persistent record of every contest seen, keyed by platform + contest id.
+// syncPlatform() diffs a fresh fetch against what is stored and emits a
+// 'changes' event with { type: 'added' | 'rescheduled' | 'removed' } entries,
+// and a 'started' event with the contests that have begun since the last sync.
+function createContestStore({ file = dataPath('contests.json'), now = () => Date.now() } = {}) {
+  const emitter = new EventEmitter();
+  const state = loadJson(file, { platforms: {}, contests: {} });
+
+  function keyOf(contest) {
+    return `${contest.platform}:${contest.id}`;
+  }
+
+  function nowSeconds() {
+    return Math.floor(now() / 1000);
+  }
+
+  function getUpcoming(platform) {
+    const current = nowSeconds();
+    return Object.values(state.contests)
+      .filter(contest => contest.platform === platform && contest.startTime > current)
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  function getContest(platform, id) {
+    return state.contests[`${platform}:${id}`] || null;
+  }
+
+  function getLastSynced(platform) {
+    return state.platforms[platform] ? state.platforms[platform].lastSynced : null;
+  }
+
+  // `contests` must be the complete upcoming list for the platform
+  function syncPlatform(platform, contests) {
+    const current = nowSeconds();
+    const firstSync = !state.platforms[platform];
+    const seen = new Set();
+    const changes = [];
+    const started = [];
+
+    contests.forEach(contest => {
+      const key = keyOf(contest);
+      const previous = state.contests[key];
+      seen.add(key);
+
+      if (!previous) {
+        changes.push({ type: 'added', contest });
+      } else if (previous.startTime !== contest.startTime || previous.endTime !== contest.endTime) {
+        changes.push({ type: 'rescheduled', contest, previous });
+      }
+
+      state.contests[key] = {
+        ...contest,
+        firstSeen: previous ? previous.firstSeen : new Date(now()).toISOString()
+      };
+    });
+
+    Object.entries(state.contests).forEach(([key, contest]) => {
+      if (contest.platform !== platform || seen.has(key)) return;
+
+      // Contests that have started simply aged out of the upcoming list
+      if (contest.startTime > current) {
+        changes.push({ type: 'removed', contest });
+      } else {
+        const { firstSeen, ...startedContest } = contest;
+        started.push(startedContest);
+      }
+      delete state.contests[key];
+    });
+
+    state.platforms[platform] = { lastSynced: new Date(now()).toISOString() };
+    saveJson(file, state);
+
+    if (started.length > 0) emitter.emit('started', platform, started);
+
+    // The first sync only seeds the store; announcing everything would be noise
+    if (firstSync || changes.length === 0) return [];
+
+    emitter.emit('changes', platform, changes);
+    return changes;
+  }
+
+  return Object.assign(emitter, {
+    getUpcoming,
+    getContest,
+    getLastSynced,
+    syncPlatform
+  });
+}
+
+module.exports = { createContestStore };
@@ -0,0 +1,79 @@
+const { formatContestTime, formatDuration } = require('./time-format');
+
+// Server-rendered status page with the upcoming contests and reminder schedule
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function contestRow(contest, getPlatformName, timezone) {
+  const title = contest.url
+    ? `<a href="${escapeHtml(contest.url)}">${escapeHtml(contest.title)}</a>`
+    : escapeHtml(contest.title);
+  return `<tr>
+      <td>${escapeHtml(getPlatformName(contest.platform))}</td>
+      <td>${title}</td>
+      <td>${escapeHtml(formatContestTime(contest.startTime, timezone))}</td>
+      <td>${escapeHtml(formatDuration(contest.duration))}</td>
+    </tr>`;
+}
+
+function reminderRow(job, getPlatformName, timezone) {
+  const target = job.guildId === 'dm' ? 'Direct messages' : job.guildId || 'Default channel';
+  return `<tr>
+      <td>${escapeHtml(formatContestTime(Math.floor(job.fireAt / 1000), timezone))}</td>
+      <td>${escapeHtml(job.offset ? job.offset.key : '10m')}</td>
+      <td>${escapeHtml(`${getPlatformName(job.contest.platform)}: ${job.contest.title}`)}</td>
+      <td>${escapeHtml(target)}</td>
+    </tr>`;
+}
+
+function table(headings, rows, emptyText) {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  return `<table>
+    <thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+    <tbody>
+    ${rows.join('\n    ')}
+    </tbody>
+  </table>`;
+}
+
+function renderDashboard({ contests, reminders, getPlatformName, timezone, lastCheck }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Contest Bot Dashboard</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; padding: 0 1rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #ddd; }
+    th { background: #f4f4f4; }
+    .meta, .empty { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>🏆 Coding Contests</h1>
+  <p class="meta">Times in ${escapeHtml(timezone)} · Last check: ${escapeHtml(lastCheck || 'No checks yet')}</p>
+
+  <h2>Upcoming contests</h2>
+  ${table(['Platform', 'Contest', 'Starts', 'Duration'],
+    contests.map(contest => contestRow(contest, getPlatformName, timezone)),
+    'No upcoming contests are known yet.')}
+
+  <h2>Reminder schedule</h2>
+  ${table(['Fires', 'Reminder', 'Contest', 'Target'],
+    reminders.map(job => reminderRow(job, getPlatformName, timezone)),
+    'No reminders are queued.')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderDashboard };
@@ -0,0 +1,176 @@
+const cron = require('node-cron');
+const { isValidTimezone } = require('./guild-config');
+const { logger } = require('./logger');
+
+// Bot features are plain objects (see features/):
+//   id, name        -> "daily-messages", "Daily messages"
+//   required        -> true when guilds cannot turn the feature off
+//   intents         -> gateway intents it needs; merged for the one shared client
+//   commands        -> slash command modules ({ data, execute, autocomplete })
+//   buttons         -> button handlers ({ prefix, handle })
+//   jobs            -> cron jobs ({ name, expression, timezone, handler(context), description })
+//   config          -> guild settings it owns, with their defaults
+//   start(context)  -> optional, runs once the client is ready
+//   stop(context)   -> optional, runs on shutdown
+//
+// The host dispatches interactions to the feature that owns them, skipping
+// features a guild has turned off, and runs every job through
+// `runJob(job, run)` so index.js can time and alert on them in one place.
+// `context` is the deps object handed to commands, jobs and hooks; it needs
+// at least `guildConfig`.
+function createFeatureHost({ features, runJob = (job, run) => run() }) {
+  let context = null;
+  let tasks = [];
+
+  function getFeature(id) {
+    return features.find(feature => feature.id === id) || null;
+  }
+
+  function getIntents() {
+    return [...new Set(features.flatMap(feature => feature.intents || []))];
+  }
+
+  function getCommands() {
+    return features.flatMap(feature => feature.commands || []);
+  }
+
+  function getConfigDefaults() {
+    return Object.assign({}, ...features.map(feature => feature.config || {}));
+  }
+
+  // Features apply everywhere until a guild turns them off
+  function isEnabled(featureId, guildId) {
+    const feature = getFeature(featureId);
+    if (!feature) return false;
+    if (feature.required || !guildId || !context) return true;
+    return context.guildConfig.get(guildId).features[featureId] !== false;
+  }
+
+  function findOwner(interaction) {
+    if (interaction.isButton()) {
+      for (const feature of features) {
+        const handler = (feature.buttons || []).find(button => interaction.customId.startsWith(button.prefix));
+        if (handler) return { feature, handler };
+      }
+      return null;
+    }
+
+    for (const feature of features) {
+      const command = (feature.commands || []).find(candidate => candidate.data.name === interaction.commandName);
+      if (command) return { feature, command };
+    }
+    return null;
+  }
+
+  async function handleInteraction(interaction) {
+    if (!context) return;
+    if (!interaction.isButton() && !interaction.isChatInputCommand() && !interaction.isAutocomplete()) return;
+
+    const owner = findOwner(interaction);
+    if (!owner) return;
+
+    const name = interaction.isButton() ? `button ${interaction.customId}` : `/${interaction.commandName}`;
+    try {
+      if (!isEnabled(owner.feature.id, interaction.guildId)) {
+        if (interaction.isAutocomplete()) {
+          await interaction.respond([]);
+        } else {
+          await interaction.reply({ content: `🚫 ${owner.feature.name} is turned off in this server.`, ephemeral: true });
+        }
+        return;
+      }
+
+      if (owner.handler) {
+        await owner.handler.handle(interaction, context);
+      } else if (interaction.isAutocomplete()) {
+        await owner.command.autocomplete(interaction, context);
+      } else {
+        await owner.command.execute(interaction, context);
+      }
+    } catch (error) {
+      logger.error(`Error handling ${name}`, { guildId: interaction.guildId, error });
+      if (interaction.isAutocomplete()) return;
+
+      const reply = { content: '⚠️ Something went wrong running that command.', ephemeral: true };
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply(reply);
+        } else {
+          await interaction.reply(reply);
+        }
+      } catch (replyError) {
+        logger.error('Failed to report command error', { guildId: interaction.guildId, error: replyError });
+      }
+    }
+  }
+
+  function validateJob(job) {
+    if (!cron.validate(job.expression)) {
+      logger.error(`Invalid cron expression: ${job.expression}`, { job: job.name });
+      return false;
+    }
+    if (job.timezone && !isValidTimezone(job.timezone)) {
+      logger.error(`Invalid timezone: ${job.timezone}`, { job: job.name });
+      return false;
+    }
+    return true;
+  }
+
+  // Each job runs in its own timezone (UTC if unset)
+  function scheduleJobs(feature) {
+    (feature.jobs || []).forEach(job => {
+      if (!validateJob(job)) {
+        logger.error('Failed to schedule job', { job: job.name });
+        return;
+      }
+
+      tasks.push(cron.schedule(job.expression, () => runJob(job, () => job.handler(context)), {
+        timezone: job.timezone || 'UTC'
+      }));
+      logger.info(`Scheduled: ${job.description}`, { job: job.name });
+    });
+  }
+
+  async function start(startContext) {
+    context = startContext;
+    for (const feature of features) {
+      scheduleJobs(feature);
+      try {
+        if (feature.start) await feature.start(context);
+        logger.info(`✅ ${feature.name} started`);
+      } catch (error) {
+        logger.error(`Error starting ${feature.name}`, { error });
+      }
+    }
+  }
+
+  async function stop() {
+    tasks.forEach(task => task.stop());
+    tasks = [];
+    for (const feature of [...features].reverse()) {
+      try {
+        if (feature.stop) await feature.stop(context);
+      } catch (error) {
+        logger.error(`Error stopping ${feature.name}`, { error });
+      }
+    }
+  }
+
+  function listFeatures() {
+    return features.map(({ id, name, required = false }) => ({ id, name, required }));
+  }
+
+  return {
+    getFeature,
+    getIntents,
+    getCommands,
+    getConfigDefaults,
+    isEnabled,
+    listFeatures,
+    handleInteraction,
+    start,
+    stop
+  };
+}
+
+module.exports = { createFeatureHost };
@@ -0,0 +1,47 @@
+const { GatewayIntentBits } = require('discord.js');
+const contests = require('../commands/contests');
+const { subscribe, unsubscribe, quietHours, timezone, roleButton } = require('../commands/subscriptions');
+const { rsvpButton } = require('../commands/attendance');
+
+// Contest lists, reminders, RSVPs and subscriptions. Fetching and sending live in
+// index.js and reach the jobs through the context:
+//   sendPlatformReminder(id), sendCombinedReminder(), scheduleReminders()
+module.exports = {
+  id: 'contests',
+  name: 'Contest reminders',
+  // Hosts /contests config, which is where other features are turned on and off
+  required: true,
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
+  commands: [contests, subscribe, unsubscribe, quietHours, timezone],
+  buttons: [contests.pageButton, roleButton, rsvpButton],
+  jobs: [
+    {
+      name: 'LeetCode Saturday',
+      expression: '0 18 * * 6',
+      timezone: 'Asia/Kolkata',
+      handler: context => context.sendPlatformReminder('leetcode'),
+      description: 'LeetCode on Saturdays at 6:00 PM IST'
+    },
+    {
+      name: 'CodeChef Wednesday',
+      expression: '0 18 * * 3',
+      timezone: 'Asia/Kolkata',
+      handler: context => context.sendPlatformReminder('codechef'),
+      description: 'CodeChef on Wednesdays at 6:00 PM IST'
+    },
+    {
+      name: 'Combined Sunday',
+      expression: '30 15 * * 0',
+      timezone: 'Asia/Kolkata',
+      handler: context => context.sendCombinedReminder(),
+      description: 'Combined reminder on Sundays at 3:30 PM IST'
+    },
+    {
+      name: 'Contest reminders',
+      expression: '*/30 * * * *',
+      timezone: 'UTC',
+      handler: context => context.scheduleReminders(),
+      description: 'Queue contest reminders (24h, 1h, 10m, start, end) every 30 mins'
+    }
+  ]
+};
@@ -0,0 +1,257 @@
+const { GatewayIntentBits } = require('discord.js');
+const cron = require('node-cron');
+const { dateKey } = require('../poll-store');
+const { formatQuote } = require('../quote-store');
+const { DEFAULT_TIMEZONE } = require('../guild-config');
+const { logger } = require('../logger');
+const { renderAnnouncement } = require('../render');
+const announcements = require('../commands/announcements');
+const revision = require('../commands/revision');
+const quote = require('../commands/quote');
+
+// Scheduled announcements (good morning, good night, revision reminders) and
+// the nightly revision tallies. Uses these context entries from index.js:
+//   client, guildConfig, revisionStore, announcementStore, quoteStore
+//   isFeatureEnabled(id, guildId)  -> false for guilds that turned this off
+//   runJob(job, run)               -> runs a job with timing and alerting
+//   countMessage(delivered)        -> records a delivery for metrics and the digest
+//   alerter                        -> admin alerts (see alerts.js)
+const FEATURE_ID = 'daily-messages';
+const CRON_REVISION_TALLY = '0 23 * * *';
+
+let context = null;
+const announcementTasks = new Map();
+
+function getTimezone(guildId) {
+  return guildId ? context.guildConfig.get(guildId).timezone : DEFAULT_TIMEZONE;
+}
+
+// Daily channels of the guilds that have not turned daily messages off
+function getDailyTargets() {
+  return context.guildConfig.getDailyTargets()
+    .filter(target => context.isFeatureEnabled(FEATURE_ID, target.guildId));
+}
+
+function mentionFor(target) {
+  return target.pingRoleId ? `<@&${target.pingRoleId}>` : '@everyone';
+}
+
+async function fetchChannel(target) {
+  const channel = await context.client.channels.fetch(target.channelId);
+  if (!channel) throw new Error(`Channel not found: ${target.channelId}`);
+  return channel;
+}
+
+function reportFailure(key, title, error) {
+  context.alerter.alert({ key, title, message: error.message });
+}
+
+function reportRecovery(key) {
+  context.alerter.resolve(key);
+}
+
+// Re-arm a job whenever its announcement is added, edited, paused or deleted
+function onAnnouncementChange(guildId, id) {
+  scheduleAnnouncement(guildId, id);
+}
+
+function start(startContext) {
+  context = startContext;
+  context.announcementStore.list().forEach(announcement => scheduleAnnouncement(announcement.guildId, announcement.id));
+  context.announcementStore.on('change', onAnnouncementChange);
+}
+
+function stop() {
+  if (!context) return;
+  context.announcementStore.off('change', onAnnouncementChange);
+  announcementTasks.forEach(task => task.stop());
+  announcementTasks.clear();
+}
+
+// Task key and job name; shared announcements keep the plain id
+function jobName(guildId, id) {
+  return guildId ? `announcement:${guildId}:${id}` : `announcement:${id}`;
+}
+
+function scheduleAnnouncement(guildId, id) {
+  const name = jobName(guildId, id);
+  if (announcementTasks.has(name)) {
+    announcementTasks.get(name).stop();
+    announcementTasks.delete(name);
+  }
+
+  const announcement = context.announcementStore.get(guildId, id);
+  if (!announcement || announcement.paused) {
+    logger.info(`Announcement is ${announcement ? 'paused' : 'deleted'}, not scheduled`, { job: name });
+    return;
+  }
+
+  const task = cron.schedule(announcement.cron, () => {
+    // Read the latest version in case it was edited since scheduling
+    const current = context.announcementStore.get(guildId, id);
+    if (current && !current.paused) context.runJob({ name }, () => sendAnnouncement(current));
+  }, {
+    timezone: announcement.timezone
+  });
+
+  announcementTasks.set(name, task);
+  logger.info(`Announcement scheduled: ${announcement.cron} (${announcement.timezone})`, { job: name });
+}
+
+// Today's quote from the library, honouring themed days such as DSA-tip Mondays
+function drawQuote(timezone) {
+  const next = context.quoteStore.nextQuote(context.quoteStore.categoryForDate(new Date(), timezone));
+  return next ? formatQuote(next) : '';
+}
+
+// A shared announcement goes to every guild's daily channel, except guilds
+// that replaced it with their own; a guild's announcement goes to its own
+// channel or, without one, that guild's daily channel
+function getAnnouncementTargets(announcement) {
+  if (!announcement.guildId) {
+    if (announcement.channelId) return [{ guildId: null, channelId: announcement.channelId }];
+    return getDailyTargets().filter(target => !(target.guildId && context.announcementStore.get(target.guildId, announcement.id)));
+  }
+  if (!context.isFeatureEnabled(FEATURE_ID, announcement.guildId)) return [];
+
+  const guildTarget = context.guildConfig.getDailyTargets().find(target => target.guildId === announcement.guildId);
+  const channelId = announcement.channelId || (guildTarget && guildTarget.channelId);
+  return channelId ? [{ ...guildTarget, guildId: announcement.guildId, channelId }] : [];
+}
+
+async function sendAnnouncement(announcement) {
+  // One quote per run, so every guild sees the same one and the rotation advances once
+  const quoteText = announcement.template.includes('{quote}') ? drawQuote(announcement.timezone) : '';
+
+  for (const target of getAnnouncementTargets(announcement)) {
+    try {
+      const channel = await fetchChannel(target);
+
+      const sentMessage = await channel.send(renderAnnouncement(announcement, { mention: mentionFor(target), quote: quoteText }));
+
+      if (announcement.reaction) {
+        await sentMessage.react(announcement.reaction);
+      }
+
+      if (announcement.trackAcknowledgements) {
+        context.revisionStore.addReminder({
+          guildId: sentMessage.guildId,
+          channelId: sentMessage.channelId,
+          messageId: sentMessage.id,
+          cohort: announcement.cohort,
+          day: dateKey(sentMessage.createdAt, getTimezone(sentMessage.guildId))
+        });
+      }
+
+      context.countMessage(true);
+      reportRecovery(`announcement:${announcement.id}:${target.channelId}`);
+      logger.info('Announcement sent successfully', { job: jobName(announcement.guildId, announcement.id), guildId: target.guildId, channelId: target.channelId });
+    } catch (error) {
+      context.countMessage(false);
+      logger.error('Error sending announcement', { job: jobName(announcement.guildId, announcement.id), guildId: target.guildId, channelId: target.channelId, error });
+      reportFailure(`announcement:${announcement.id}:${target.channelId}`, `Announcement "${announcement.id}" could not be posted in ${target.channelId}`, error);
+    }
+  }
+}
+
+// Post an announcement outside its schedule: the guild's own, else the
+// shared one. False when the id is unknown and null before the feature has started
+async function sendAnnouncementNow(id, guildId = null) {
+  if (!context) return null;
+
+  const announcement = context.announcementStore.find(guildId, id);
+  if (!announcement) return false;
+
+  await sendAnnouncement(announcement);
+  return true;
+}
+
+// Members of the cohort's roster role, or null when no roster is configured
+async function fetchRoster(guild, cohort) {
+  const roleId = context.guildConfig.get(guild.id).cohortRoles[cohort];
+  if (!roleId) return null;
+
+  await guild.members.fetch();
+  const role = guild.roles.cache.get(roleId);
+  return role ? [...role.members.keys()] : null;
+}
+
+async function tallyRevisionReminder(reminder) {
+  const channel = await context.client.channels.fetch(reminder.channelId);
+  const message = await channel.messages.fetch(reminder.messageId);
+
+  const reaction = message.reactions.cache.get('✅');
+  const reactors = reaction ? await reaction.users.fetch() : new Map();
+  const reactedIds = [...reactors.values()].filter(user => !user.bot).map(user => user.id);
+
+  const roster = await fetchRoster(message.guild, reminder.cohort);
+  const acknowledged = roster ? roster.filter(id => reactedIds.includes(id)) : reactedIds;
+  const missing = roster ? roster.filter(id => !reactedIds.includes(id)) : [];
+
+  context.revisionStore.saveTally(reminder.messageId, { acknowledged, missing });
+
+  const summary = roster
+    ? `**${acknowledged.length}/${roster.length}** ${reminder.cohort} students acknowledged today's revision reminder.`
+    : `**${acknowledged.length}** ${reminder.cohort} students acknowledged today's revision reminder.`;
+  const missingLine = missing.length > 0
+    ? `\n\n⏳ Still pending: ${missing.map(id => `<@${id}>`).join(' ')}`.slice(0, 1800)
+    : '';
+
+  await message.reply({
+    content: `📋 ${summary}${missingLine}`,
+    allowedMentions: { parse: [] }
+  });
+
+  if (context.guildConfig.get(message.guild.id).revisionNudges) {
+    for (const userId of missing) {
+      try {
+        const user = await context.client.users.fetch(userId);
+        await user.send(`📚 Friendly nudge: you haven't checked off today's **${reminder.cohort}** revision reminder yet. Revise your notes and react with ✅ here: ${message.url}`);
+      } catch (error) {
+        logger.warn('Error sending revision nudge', { job: 'revision-tally', guildId: message.guild.id, userId, error });
+      }
+    }
+  }
+
+  logger.info(`Revision tally for ${reminder.cohort}: ${acknowledged.length} acknowledged, ${missing.length} missing`, { job: 'revision-tally', guildId: reminder.guildId, channelId: reminder.channelId });
+}
+
+async function sendRevisionTallies() {
+  const today = dateKey(new Date(), DEFAULT_TIMEZONE);
+  const reminders = context.revisionStore.getUntallied(today)
+    .filter(reminder => context.isFeatureEnabled(FEATURE_ID, reminder.guildId));
+
+  for (const reminder of reminders) {
+    try {
+      await tallyRevisionReminder(reminder);
+      reportRecovery(`revision-tally:${reminder.channelId}`);
+    } catch (error) {
+      logger.error('Error tallying revision reminder', { job: 'revision-tally', guildId: reminder.guildId, messageId: reminder.messageId, error });
+      reportFailure(`revision-tally:${reminder.channelId}`, `Revision reminders in ${reminder.channelId} could not be tallied`, error);
+    }
+  }
+}
+
+module.exports = {
+  id: FEATURE_ID,
+  name: 'Daily messages',
+  // Reading cohort roster roles for revision tallies needs the member list
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.GuildMembers],
+  commands: [announcements, revision, quote],
+  jobs: [
+    {
+      name: 'revision-tally',
+      expression: CRON_REVISION_TALLY,
+      timezone: 'Asia/Kolkata',
+      handler: () => sendRevisionTallies(),
+      description: 'Tally revision reminder acknowledgements at 11:00 PM IST'
+    }
+  ],
+  config: {
+    cohortRoles: {}, // cohort name (e.g. "2nd Year") -> roster role
+    revisionNudges: false // DM members who did not acknowledge a revision reminder
+  },
+  start,
+  stop,
+  sendAnnouncementNow
+};
@@ -0,0 +1,9 @@
+// Bot features, in start order. See feature-host.js for the shape of each one.
+const contests = require('./contests');
+const dailyMessages = require('./daily-messages');
+const polls = require('./polls');
+const results = require('./results');
+
+const features = [contests, dailyMessages, polls, results];
+
+module.exports = { features };
@@ -0,0 +1,92 @@
+const { GatewayIntentBits } = require('discord.js');
+const { dateKey } = require('../poll-store');
+const { DEFAULT_TIMEZONE } = require('../guild-config');
+const { logger } = require('../logger');
+const { POLL_OPTIONS, renderWeeklySummary } = require('../render');
+const { leaderboard, myStats } = require('../commands/stats');
+
+// Solve-count votes from the good-night poll buttons, the leaderboards and
+// the weekly summary. Uses these context entries from index.js:
+//   client, guildConfig, pollStore, isFeatureEnabled, countMessage, alerter
+const FEATURE_ID = 'polls';
+const CRON_WEEKLY_SUMMARY = '30 21 * * 0';
+
+function getTimezone(context, guildId) {
+  return guildId ? context.guildConfig.get(guildId).timezone : DEFAULT_TIMEZONE;
+}
+
+async function handleVote(interaction, context) {
+  const response = POLL_OPTIONS[interaction.customId];
+  if (!response) return;
+
+  const user = interaction.user.username;
+  try {
+    // Votes count for the day the poll was posted, even if clicked after midnight
+    const day = dateKey(interaction.message.createdAt, getTimezone(context, interaction.guildId));
+    const previous = context.pollStore.recordVote(interaction.guildId, day, interaction.user, response.count);
+    const stats = context.pollStore.getUserStats(interaction.guildId, interaction.user.id, day);
+
+    await interaction.reply({
+      content: `Thanks ${user}! You selected: **${response.label}** ✅` +
+        (previous ? ` (updated from ${previous.count})` : '') +
+        `\n🔥 Current streak: **${stats.streak.current}** day${stats.streak.current === 1 ? '' : 's'}`,
+      ephemeral: true
+    });
+    logger.info(`${user} responded with: ${response.label} for ${day}`, { guildId: interaction.guildId, userId: interaction.user.id });
+  } catch (error) {
+    logger.error(`Error recording poll vote from ${user}`, { guildId: interaction.guildId, error });
+  }
+}
+
+// Posted in the daily channel of every guild that has the feature on
+async function sendWeeklySummary(context) {
+  const targets = context.guildConfig.getDailyTargets()
+    .filter(target => context.isFeatureEnabled(FEATURE_ID, target.guildId));
+
+  for (const target of targets) {
+    try {
+      const channel = await context.client.channels.fetch(target.channelId);
+      if (!channel) throw new Error(`Channel not found: ${target.channelId}`);
+
+      // Votes are keyed by the guild the poll was posted in
+      const guildId = channel.guildId || target.guildId;
+      const today = dateKey(new Date(), getTimezone(context, guildId));
+      const entries = context.pollStore.getLeaderboard(guildId, 'week', today);
+
+      if (entries.length === 0) {
+        logger.info('No poll votes this week, skipping weekly summary', { job: 'weekly-summary', guildId, channelId: target.channelId });
+        continue;
+      }
+
+      await channel.send(renderWeeklySummary(entries));
+      context.countMessage(true);
+      context.alerter.resolve(`weekly-summary:${target.channelId}`);
+      logger.info('Weekly summary sent successfully', { job: 'weekly-summary', guildId, channelId: target.channelId });
+    } catch (error) {
+      context.countMessage(false);
+      logger.error('Error sending weekly summary', { job: 'weekly-summary', channelId: target.channelId, error });
+      context.alerter.alert({
+        key: `weekly-summary:${target.channelId}`,
+        title: `Weekly summary could not be posted in ${target.channelId}`,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = {
+  id: FEATURE_ID,
+  name: 'Solve polls',
+  intents: [GatewayIntentBits.Guilds],
+  commands: [leaderboard, myStats],
+  buttons: [{ prefix: 'poll_', handle: handleVote }],
+  jobs: [
+    {
+      name: 'weekly-summary',
+      expression: CRON_WEEKLY_SUMMARY,
+      timezone: 'Asia/Kolkata',
+      handler: context => sendWeeklySummary(context),
+      description: 'Weekly solve summary on Sundays at 9:30 PM IST'
+    }
+  ]
+};
@@ -0,0 +1,194 @@
+const { GatewayIntentBits } = require('discord.js');
+const { matchesFilter } = require('../contest-filter');
+const { logger } = require('../logger');
+const { renderContestResults } = require('../render');
+const { link, unlink, ratings } = require('../commands/handles');
+
+// Results and rating changes for members who linked a handle with /link.
+// Contests are watched from the moment they start; once one ends, its
+// standings are posted in each guild's contest channel, and rating changes
+// follow in a second message if the platform publishes them later.
+// Uses these context entries from index.js:
+//   client, guildConfig, contestStore, resultsStore
+//   getResultProviders()                      -> enabled providers with `results`
+//   fetchResults(provider, contest, handles)  -> { standings, ratings } (see providers/index.js)
+//   isFeatureEnabled, countMessage, alerter
+const FEATURE_ID = 'results';
+const CRON_RESULTS = '*/15 * * * *';
+// How long after a contest ends to keep waiting for standings and ratings
+const RESULTS_WAIT_SECONDS = (Number(process.env.RESULTS_WAIT_HOURS) || 72) * 60 * 60;
+
+let context = null;
+
+function getResultProvider(platformId) {
+  return context.getResultProviders().find(provider => provider.id === platformId) || null;
+}
+
+function onContestsStarted(platformId, contests) {
+  if (!getResultProvider(platformId)) return;
+  contests.forEach(contest => {
+    if (context.resultsStore.watch(contest)) {
+      logger.info(`Waiting for results of ${contest.title}`, { job: 'contest-results', platform: platformId, contestId: contest.id });
+    }
+  });
+}
+
+function start(startContext) {
+  context = startContext;
+  context.contestStore.on('started', onContestsStarted);
+}
+
+function stop() {
+  if (!context) return;
+  context.contestStore.off('started', onContestsStarted);
+}
+
+// Linked members grouped by the channel their guild gets this contest in
+function groupMembersByChannel(contest) {
+  const groups = new Map();
+  context.resultsStore.getLinkedMembers(contest.platform).forEach(member => {
+    if (!context.isFeatureEnabled(FEATURE_ID, member.guildId)) return;
+
+    const target = context.guildConfig.getTarget(member.guildId, contest.platform);
+    if (!target || !matchesFilter(contest, target.filter, { lookahead: false })) return;
+
+    if (!groups.has(target.channelId)) groups.set(target.channelId, { target, members: [] });
+    groups.get(target.channelId).members.push(member);
+  });
+  return [...groups.values()];
+}
+
+// Rows for renderContestResults: members found in the standings (or, for the
+// rating follow-up, in the rating changes)
+function buildRows(members, standings, ratings, ratingsOnly) {
+  return members
+    .map(member => {
+      const standing = (standings || []).find(row => row.handle === member.handle);
+      const rating = (ratings || []).find(row => row.handle === member.handle);
+      if (ratingsOnly ? !rating : !standing) return null;
+      return { userId: member.userId, handle: member.handle, ...standing, ...rating };
+    })
+    .filter(Boolean);
+}
+
+function recordRatings(contest, members, standings, ratings) {
+  buildRows(members, standings, ratings, true).forEach(row => {
+    context.resultsStore.recordRating(row.userId, contest.platform, {
+      contestId: contest.id,
+      title: contest.title,
+      rank: row.rank === undefined ? null : row.rank,
+      solved: row.solved === undefined ? null : row.solved,
+      total: row.total === undefined ? null : row.total,
+      oldRating: row.oldRating,
+      newRating: row.newRating,
+      endTime: contest.endTime
+    });
+  });
+}
+
+// Who of each guild's linked members took part, for /contests attendance
+function recordParticipation(contest, groups, standings) {
+  groups.forEach(({ target, members }) => {
+    context.resultsStore.recordParticipation(target.guildId, contest, {
+      linked: [...new Set(members.map(member => member.userId))],
+      participated: [...new Set(buildRows(members, standings, null, false).map(row => row.userId))]
+    });
+  });
+}
+
+async function postResults(provider, contest, groups, { standings, ratings, ratingsOnly }) {
+  for (const { target, members } of groups) {
+    const rows = buildRows(members, standings, ratings, ratingsOnly);
+    if (rows.length === 0) continue;
+
+    try {
+      const channel = await context.client.channels.fetch(target.channelId);
+      if (!channel) throw new Error(`Channel not found: ${target.channelId}`);
+
+      for (const page of renderContestResults({ platform: provider.name, color: provider.color, contest, rows, ratingsOnly })) {
+        await channel.send(page);
+      }
+      context.countMessage(true);
+      context.alerter.resolve(`results:${target.channelId}`);
+      logger.info(`Posted ${ratingsOnly ? 'rating changes' : 'results'} for ${contest.title}`, { job: 'contest-results', guildId: target.guildId, channelId: target.channelId, members: rows.length });
+    } catch (error) {
+      context.countMessage(false);
+      logger.error('Error posting contest results', { job: 'contest-results', guildId: target.guildId, channelId: target.channelId, contestId: contest.id, error });
+      context.alerter.alert({
+        key: `results:${target.channelId}`,
+        title: `Contest results could not be posted in ${target.channelId}`,
+        message: error.message
+      });
+    }
+  }
+}
+
+async function checkContest(entry, now) {
+  const { contest } = entry;
+  const provider = getResultProvider(contest.platform);
+  const groups = provider ? groupMembersByChannel(contest) : [];
+  if (groups.length === 0) {
+    context.resultsStore.removePending(contest);
+    return;
+  }
+
+  const members = groups.flatMap(group => group.members);
+  const handles = [...new Set(members.map(member => member.handle))];
+  const { standings, ratings } = await context.fetchResults(provider, contest, handles);
+
+  let { standingsPosted, ratingsPosted } = entry;
+  if (!standingsPosted && standings) {
+    recordParticipation(contest, groups, standings);
+    await postResults(provider, contest, groups, { standings, ratings, ratingsOnly: false });
+    standingsPosted = true;
+    ratingsPosted = ratings !== null;
+  } else if (standingsPosted && !ratingsPosted && ratings) {
+    await postResults(provider, contest, groups, { standings, ratings, ratingsOnly: true });
+    ratingsPosted = true;
+  }
+  if (ratings) recordRatings(contest, members, standings, ratings);
+
+  // Nobody linked took part, the ratings are in, or there will be none
+  const done = standingsPosted && (ratingsPosted || (standings && standings.length === 0) || contest.rated === false);
+  if (done) {
+    context.resultsStore.removePending(contest);
+  } else if (now - contest.endTime > RESULTS_WAIT_SECONDS) {
+    logger.warn(`Gave up waiting for ${standingsPosted ? 'rating changes' : 'results'} of ${contest.title}`, { job: 'contest-results', platform: contest.platform, contestId: contest.id });
+    context.resultsStore.removePending(contest);
+  } else {
+    context.resultsStore.updatePending(contest, { standingsPosted, ratingsPosted });
+  }
+}
+
+async function checkResults() {
+  const now = Math.floor(Date.now() / 1000);
+  const finished = context.resultsStore.getPending().filter(entry => entry.contest.endTime <= now);
+
+  for (const entry of finished) {
+    try {
+      await checkContest(entry, now);
+    } catch (error) {
+      // Platforms often lag behind the contest end, so a failed check just waits for the next run
+      logger.warn(`Could not fetch results for ${entry.contest.title}`, { job: 'contest-results', platform: entry.contest.platform, contestId: entry.contest.id, error });
+      if (now - entry.contest.endTime > RESULTS_WAIT_SECONDS) context.resultsStore.removePending(entry.contest);
+    }
+  }
+}
+
+module.exports = {
+  id: FEATURE_ID,
+  name: 'Contest results',
+  intents: [GatewayIntentBits.Guilds],
+  commands: [link, unlink, ratings],
+  jobs: [
+    {
+      name: 'contest-results',
+      expression: CRON_RESULTS,
+      timezone: 'UTC',
+      handler: () => checkResults(),
+      description: 'Post results and rating changes of finished contests every 15 mins'
+    }
+  ],
+  start,
+  stop
+};
@@ -0,0 +1,159 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+const { normalizeFilter } = require('./contest-filter');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Settings a guild starts with before an admin changes anything
+function defaultGuildConfig() {
+  return {
+    channels: { default: null }, // platform id (or "default") -> channel id
+    dailyChannelId: null,
+    platforms: null, // null = every enabled platform
+    offsets: null, // null = REMINDER_OFFSETS from the environment
+    pingRoleId: null, // null = @everyone
+    platformRoles: {}, // platform id -> opt-in role pinged instead of pingRoleId
+    dailyRoleId: null, // null = pingRoleId
+    features: {}, // feature id -> false when turned off for this guild
+    filters: {}, // channel id -> contest filter (see contest-filter.js), null = everything
+    timezone: DEFAULT_TIMEZONE
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Object-valued settings (channels, platformRoles, ...) are merged key by key
+function mergeConfig(base, patch) {
+  const result = { ...base, ...patch };
+  Object.keys(base).forEach(key => {
+    if (isPlainObject(base[key]) && isPlainObject(patch[key])) result[key] = { ...base[key], ...patch[key] };
+  });
+  return result;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Per-guild settings persisted to disk.
+//
+// `fallback` describes the legacy single-channel setup from CHANNEL_ID /
+// DAILY_MESSAGE_CHANNEL_ID. It is only used while no guild has configured
+// a channel, so existing deployments keep working unchanged.
+// `defaults` holds the settings declared by bot features (see feature-host.js).
+function createGuildConfigStore({ file = dataPath('guilds.json'), fallback = {}, defaults = {} } = {}) {
+  const state = loadJson(file, { guilds: {} });
+
+  function get(guildId) {
+    return mergeConfig({ ...defaults, ...defaultGuildConfig() }, state.guilds[guildId] || {});
+  }
+
+  function update(guildId, patch) {
+    const next = mergeConfig(get(guildId), patch);
+    state.guilds[guildId] = next;
+    saveJson(file, state);
+    return next;
+  }
+
+  function reset(guildId) {
+    delete state.guilds[guildId];
+    saveJson(file, state);
+  }
+
+  function listGuildIds() {
+    return Object.keys(state.guilds);
+  }
+
+  function fallbackTarget() {
+    return {
+      guildId: null,
+      channelId: fallback.channelId || null,
+      dailyChannelId: fallback.dailyChannelId || null,
+      offsets: null,
+      pingRoleId: null,
+      optInRoleId: null,
+      filter: normalizeFilter(null),
+      timezone: DEFAULT_TIMEZONE
+    };
+  }
+
+  // Where a platform's messages go in one guild, or null if it opted out
+  // (including through the channel's filter)
+  function getTarget(guildId, platformId) {
+    if (!guildId) return fallbackTarget();
+
+    const config = get(guildId);
+    if (config.platforms && !config.platforms.includes(platformId)) return null;
+
+    const channelId = config.channels[platformId] || config.channels.default;
+    if (!channelId) return null;
+
+    const filter = normalizeFilter(config.filters[channelId]);
+    if (filter.platforms && !filter.platforms.includes(platformId)) return null;
+
+    return {
+      guildId,
+      channelId,
+      offsets: config.offsets,
+      pingRoleId: config.platformRoles[platformId] || config.pingRoleId,
+      optInRoleId: config.platformRoles[platformId] || null,
+      filter,
+      timezone: config.timezone
+    };
+  }
+
+  // Every destination for a platform's messages across all guilds
+  function getTargets(platformId) {
+    const configured = listGuildIds()
+      .map(guildId => getTarget(guildId, platformId))
+      .filter(Boolean);
+
+    if (hasConfiguredChannels()) return configured;
+    return fallback.channelId ? [fallbackTarget()] : [];
+  }
+
+  function hasConfiguredChannels() {
+    return listGuildIds().some(guildId => {
+      const config = get(guildId);
+      return Object.values(config.channels).some(Boolean);
+    });
+  }
+
+  // Channels that receive the daily messages
+  function getDailyTargets() {
+    const configured = listGuildIds()
+      .map(guildId => ({ guildId, ...get(guildId) }))
+      .filter(config => config.dailyChannelId)
+      .map(config => ({
+        guildId: config.guildId,
+        channelId: config.dailyChannelId,
+        pingRoleId: config.dailyRoleId || config.pingRoleId,
+        timezone: config.timezone
+      }));
+
+    if (configured.length > 0) return configured;
+    return fallback.dailyChannelId ? [{ ...fallbackTarget(), channelId: fallback.dailyChannelId }] : [];
+  }
+
+  return {
+    get,
+    update,
+    reset,
+    listGuildIds,
+    getTarget,
+    getTargets,
+    getDailyTargets
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  createGuildConfigStore
+};
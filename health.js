@@ -0,0 +1,115 @@
+const express = require('express');
+const { PermissionFlagsBits, Status } = require('discord.js');
+
+const DEFAULT_MAX_FETCH_AGE_MINUTES = 90;
+
+// The router takes a `deps` object supplied by index.js:
+//   client                 -> the Discord client
+//   getChannelIds()        -> channels the bot is configured to post in
+//   getProviders()         -> enabled providers
+//   getLastSynced(id)      -> ISO time of the platform's last successful fetch, or null
+//   getLastScheduledCheck() -> ISO time of the last reminder check, or null
+//   maxFetchAgeMinutes     -> how stale a platform's data may get before we are not ready
+
+function checkGateway(client) {
+  const connected = client.isReady() && client.ws.status === Status.Ready;
+  return {
+    ok: connected,
+    status: Status[client.ws.status] || String(client.ws.status),
+    ping: connected ? client.ws.ping : null
+  };
+}
+
+function checkChannel(client, channelId) {
+  const channel = client.channels.cache.get(channelId);
+  if (!channel) return { channelId, ok: false, reason: 'not found' };
+
+  if (channel.guild && client.user) {
+    const permissions = channel.permissionsFor(client.user);
+    const canSend = permissions && permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]);
+    if (!canSend) return { channelId, ok: false, reason: 'missing send permission' };
+  }
+  return { channelId, ok: true };
+}
+
+function checkChannels(client, channelIds) {
+  const channels = channelIds.map(channelId => checkChannel(client, channelId));
+  return {
+    ok: channels.length > 0 && channels.every(channel => channel.ok),
+    channels
+  };
+}
+
+function checkFetches(deps, now) {
+  const maxAgeMinutes = deps.maxFetchAgeMinutes || DEFAULT_MAX_FETCH_AGE_MINUTES;
+  const platforms = deps.getProviders().map(provider => {
+    const lastSynced = deps.getLastSynced(provider.id);
+    const ageMinutes = lastSynced ? Math.round((now - Date.parse(lastSynced)) / 60000) : null;
+    return {
+      platform: provider.id,
+      lastSuccess: lastSynced,
+      ageMinutes,
+      ok: ageMinutes !== null && ageMinutes <= maxAgeMinutes
+    };
+  });
+
+  return {
+    ok: platforms.every(platform => platform.ok),
+    maxAgeMinutes,
+    platforms
+  };
+}
+
+function checkReadiness(deps, now = Date.now()) {
+  const checks = {
+    gateway: checkGateway(deps.client),
+    channels: checkChannels(deps.client, deps.getChannelIds()),
+    fetches: checkFetches(deps, now)
+  };
+  return {
+    ready: Object.values(checks).every(check => check.ok),
+    checks
+  };
+}
+
+function createHealthRouter(deps) {
+  const router = express.Router();
+
+  // Liveness only says the process is up and serving requests
+  router.get('/live', (req, res) => {
+    res.json({
+      status: 'alive',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Readiness answers 503 when any check fails, so uptime pingers alert on it
+  router.get('/ready', (req, res) => {
+    const { ready, checks } = checkReadiness(deps);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not ready',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  });
+
+  // The original endpoint, now backed by the readiness checks
+  router.get('/', (req, res) => {
+    const { ready, checks } = checkReadiness(deps);
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'healthy' : 'unhealthy',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      lastScheduledCheck: deps.getLastScheduledCheck() || 'No checks yet',
+      checks
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  checkReadiness,
+  createHealthRouter
+};
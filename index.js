@@ -1,5 +1,9 @@
 // index.js
 
+// Load .env before anything else: several modules read their settings from
+// process.env when they are first required
+require('dotenv').config();
+
 // Express setup for uptime
 const express = require('express');
 const app = express();
@@ -7,7 +11,7 @@ const port = process.env.PORT || 3000;
 
 // Enhanced error handling for Express
 app.use((err, req, res, next) => {
-  console.error('Express error:', err.stack);
+  logger.error('Express error', { path: req.path, error: err });
   res.status(500).send('Something broke!');
 });
 
@@ -15,186 +19,284 @@ app.get('/', (req, res) => {
   res.send('Bot is running!');
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    lastScheduledCheck: global.lastScheduledCheck || 'No checks yet'
-  });
+// Calendar feed: /calendar.ics?platform=leetcode,codeforces&tz=Europe/Berlin
+// (all enabled platforms by default; tz is a display hint for calendar apps)
+app.get('/calendar.ics', (req, res) => {
+  const timezone = req.query.tz && isValidTimezone(String(req.query.tz)) ? String(req.query.tz) : null;
+  const requested = req.query.platform
+    ? String(req.query.platform).split(',').map(id => id.trim().toLowerCase())
+    : null;
+  const providers = getEnabledProviders().filter(provider => !requested || requested.includes(provider.id));
+  const contests = providers
+    .flatMap(provider => contestStore.getUpcoming(provider.id))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  res.type('text/calendar; charset=utf-8');
+  res.send(buildCalendar(contests, {
+    name: providers.length === 1 ? `${providers[0].name} Contests` : 'Coding Contests',
+    getPlatformName: platformName,
+    timezone
+  }));
 });
 
-const server = app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+// Single contest download, linked from the reminder embeds
+app.get('/calendar/:platform/:id.ics', (req, res) => {
+  const contest = contestStore.getContest(req.params.platform, req.params.id);
+  if (!contest) {
+    res.status(404).send('Contest not found');
+    return;
+  }
+
+  res.type('text/calendar; charset=utf-8');
+  res.attachment(`${contest.platform}-${contest.id}.ics`);
+  res.send(buildCalendar([contest], { name: contest.title, getPlatformName: platformName }));
 });
 
-// Graceful shutdown
-process.on('SIGTERM', shutdown);
-process.on('SIGINT', shutdown);
+// Set by start(); requiring this file does not open the port
+let server = null;
 
-function shutdown() {
-  console.log('Received shutdown signal. Closing server...');
-  server.close(() => {
-    console.log('Server closed. Exiting process.');
-    process.exit(0);
-  });
+// Stop new work, wait for sends in progress (see lifecycle.js), then exit.
+// A second signal exits right away.
+async function shutdown(signal) {
+  if (lifecycle.isStopping()) {
+    logger.warn(`Received ${signal} again; exiting without waiting`);
+    process.exit(1);
+  }
   
-  // Force exit after 10 seconds
+  // Backstop in case a shutdown step hangs
   setTimeout(() => {
-    console.error('Forcing exit after timeout');
+    logger.error('Forcing exit after timeout');
     process.exit(1);
-  }, 10000);
+  }, SHUTDOWN_DEADLINE_MS + 10000).unref();
+  
+  const report = await lifecycle.shutdown(signal);
+  await logger.close();
+  process.exit(report.abandoned.length > 0 ? 1 : 0);
 }
 
 // Core bot setup
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
-const cron = require('node-cron');
-const axios = require('axios');
-const dotenv = require('dotenv');
-const fs = require('fs');
-const path = require('path');
-dotenv.config();
-
-// Validate essential environment variables
-const requiredEnvVars = ['DISCORD_TOKEN', 'CHANNEL_ID'];
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingEnvVars.length > 0) {
-  console.error(`Error: Missing required environment variables: ${missingEnvVars.join(', ')}`);
-  process.exit(1);
-}
-
-// Load daily messages module
-let initDailyMessages;
-try {
-  initDailyMessages = require('./daily-messages');
-} catch (err) {
-  console.error('Error loading daily-messages module:', err);
-  // Create a fallback function if the module is missing
-  initDailyMessages = (client) => {
-    console.warn('Daily messages module not found or failed to load. This feature will be disabled.');
-    return null;
-  };
-}
+const { Client } = require('discord.js');
+const { getProvider, getEnabledProviders, getResultProviders, fetchResults } = require('./providers');
+const { createContestFetcher } = require('./contest-fetcher');
+const { createAlerter } = require('./alerts');
+const { createLifecycle } = require('./lifecycle');
+const { createContestStore } = require('./contest-store');
+const { createReminderScheduler } = require('./reminder-scheduler');
+const { parseOffset, parseOffsetList, getOffsetsForPlatform, getFireTime, getExpiryTime } = require('./reminder-offsets');
+const { logger } = require('./logger');
+const { createFeatureHost } = require('./feature-host');
+const { features } = require('./features');
+const { createGuildConfigStore, isValidTimezone, DEFAULT_TIMEZONE } = require('./guild-config');
+const { applyFilter, matchesFilter } = require('./contest-filter');
+const { createSubscriptionStore } = require('./subscriptions');
+const { createPollStore } = require('./poll-store');
+const { createRevisionStore } = require('./revision-store');
+const { createAnnouncementStore } = require('./announcement-store');
+const { createQuoteStore } = require('./quote-store');
+const { createResultsStore } = require('./results-store');
+const { createRsvpStore } = require('./rsvp-store');
+const { buildCalendar } = require('./calendar');
+const { createApiRouter, listContests } = require('./api');
+const { renderDashboard } = require('./dashboard');
+const { createMetrics } = require('./metrics');
+const { createHealthRouter } = require('./health');
+const { discordTimeWithCountdown, formatDuration } = require('./time-format');
+const { renderContestUpdates, renderContestList, renderContestReminder, toJSON } = require('./render');
+const { PREVIEW_TYPES, buildPreviews } = require('./preview');
 
 // Constants
+// `--dry-run` prints what would be posted and exits without logging in
+const DRY_RUN = process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true';
 const CHANNEL_ID = process.env.CHANNEL_ID;
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 const BACKUP_CHANNEL_ID = process.env.BACKUP_CHANNEL_ID || null;
-const DISCORD_ADMIN_ID = process.env.DISCORD_ADMIN_ID || null;
+// Admins alerted about failures: ADMIN_IDS (comma-separated) or the older DISCORD_ADMIN_ID
+const ADMIN_IDS = (process.env.ADMIN_IDS || process.env.DISCORD_ADMIN_ID || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+const ADMIN_ALERT_CHANNEL_ID = process.env.ADMIN_ALERT_CHANNEL_ID || null;
 const RETRY_DELAY = 60000; // 1 minute
+// The reminder that pings members who RSVP'd Going instead of the whole channel
+const RSVP_MENTION_OFFSET = '10m';
+// Contest lists only cover this many days unless a channel's filter says otherwise
+const DIGEST_LOOKAHEAD_DAYS = Number(process.env.DIGEST_LOOKAHEAD_DAYS) || 14;
 const MAX_RETRIES = 3;
-const LOG_FILE = process.env.LOG_FILE || './bot-log.txt';
+// How long a shutdown waits for sends in progress
+const SHUTDOWN_DEADLINE_MS = Number(process.env.SHUTDOWN_TIMEOUT_SECONDS) * 1000 || 15000;
+
+// In-flight work, overlap protection for jobs and the shutdown sequence
+const lifecycle = createLifecycle({ deadlineMs: SHUTDOWN_DEADLINE_MS });
+
+// Operational jobs that belong to no feature
+const opsFeature = {
+  id: 'ops',
+  name: 'Operations',
+  required: true,
+  jobs: [
+    {
+      name: 'Ops digest',
+      expression: process.env.ALERT_DIGEST_CRON || '0 9 * * *',
+      timezone: 'Asia/Kolkata',
+      handler: () => alerter.sendDigest(),
+      description: 'Daily ops digest for the admins at 9:00 AM IST'
+    }
+  ]
+};
 
-// Setup logging
-function logToFile(message) {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp}: ${message}\n`;
-  
-  try {
-    fs.appendFileSync(LOG_FILE, logMessage);
-  } catch (err) {
-    console.error('Failed to write to log file:', err);
-  }
-  
-  console.log(logMessage.trim());
-}
+// Every feature's commands, buttons and jobs (see feature-host.js)
+const featureHost = createFeatureHost({
+  features: [...features, opsFeature],
+  runJob: runScheduledJob
+});
 
-// Create the Discord client with reconnection settings
+// One client for every feature, with their intents merged
 const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent
-  ],
+  intents: featureHost.getIntents(),
   rest: {
     retries: 5,
     timeout: 15000
   }
 });
 
-// API fetch functions with retries
-async function fetchWithRetry(fetchFunc, platform, retries = 0) {
-  try {
-    return await fetchFunc();
-  } catch (error) {
-    logToFile(`Error fetching ${platform} contests (attempt ${retries + 1}/${MAX_RETRIES}): ${error.message}`);
-    
-    if (retries < MAX_RETRIES) {
-      logToFile(`Retrying ${platform} fetch in ${RETRY_DELAY / 1000} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-      return fetchWithRetry(fetchFunc, platform, retries + 1);
-    } else {
-      logToFile(`All ${platform} fetch attempts failed. Giving up.`);
-      return [];
-    }
+const contestStore = createContestStore();
+const guildConfig = createGuildConfigStore({
+  defaults: featureHost.getConfigDefaults(),
+  fallback: {
+    channelId: CHANNEL_ID,
+    dailyChannelId: process.env.DAILY_MESSAGE_CHANNEL_ID
   }
+});
+const subscriptions = createSubscriptionStore();
+const pollStore = createPollStore();
+const revisionStore = createRevisionStore();
+const announcementStore = createAnnouncementStore();
+const quoteStore = createQuoteStore();
+const resultsStore = createResultsStore();
+const rsvpStore = createRsvpStore();
+
+// Pseudo guild id for reminder jobs delivered by DM to subscribed users
+const DM_TARGET_ID = 'dm';
+
+// Prometheus metrics served on /metrics
+const metrics = createMetrics();
+const fetchAttempts = metrics.counter('fetch_attempts_total', 'Contest API fetch attempts by platform');
+const fetchFailures = metrics.counter('fetch_failures_total', 'Failed contest API fetch attempts by platform');
+const messagesSent = metrics.counter('messages_sent_total', 'Messages delivered, by target (channel or dm)');
+const messagesFailed = metrics.counter('messages_failed_total', 'Messages that could not be delivered, by target');
+const remindersFired = metrics.counter('reminders_fired_total', 'Reminder jobs fired, by platform and result');
+const cronDuration = metrics.summary('cron_job_duration_seconds', 'Time spent running scheduled jobs');
+const gatewayConnected = metrics.gauge('gateway_connected', '1 while the Discord gateway connection is ready');
+const lastFetchSuccess = metrics.gauge('last_successful_fetch_timestamp_seconds', 'Unix time of the last successful fetch by platform');
+const pendingReminderCount = metrics.gauge('pending_reminders', 'Reminder jobs waiting to fire');
+
+// Record a delivery attempt for /metrics and the ops digest
+function countMessage(delivered, target = 'channel') {
+  (delivered ? messagesSent : messagesFailed).inc({ target });
+  alerter.recordMessage(delivered);
 }
 
-async function fetchLeetCodeContests() {
-  return fetchWithRetry(async () => {
-    const response = await axios.post('https://leetcode.com/graphql', {
-      query: `
-        query {
-          allContests {
-            title
-            startTime
-            duration
-            description
-          }
-        }
-      `
-    }, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 10000
-    });
-    
-    if (!response.data || !response.data.data || !response.data.data.allContests) {
-      throw new Error('Invalid response structure from LeetCode API');
-    }
-    
-    const contests = response.data.data.allContests;
-    const now = Math.floor(Date.now() / 1000);
-    return contests.filter(contest => contest.startTime > now);
-  }, 'LeetCode');
+// Alerts go straight to the admin channel and DMs rather than through
+// sendDiscordMessage, so a broken channel cannot raise alerts about alerts
+async function deliverAdminAlert(content) {
+  // A dry run posts nothing, alerts included
+  if (DRY_RUN) {
+    logger.info('Dry run: admin alert not delivered', { alert: content });
+    return;
+  }
+  if (!client.isReady()) throw new Error('Discord client is not ready');
+
+  const deliveries = ADMIN_IDS.map(userId => client.users.fetch(userId).then(user => user.send(content)));
+  if (ADMIN_ALERT_CHANNEL_ID) {
+    deliveries.push(client.channels.fetch(ADMIN_ALERT_CHANNEL_ID).then(channel => channel.send(content)));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to deliver admin alert', { error: result.reason }));
+  if (deliveries.length > 0 && results.every(result => result.status === 'rejected')) {
+    throw new Error('No admin could be reached');
+  }
 }
 
-async function fetchCodeChefContests() {
-  return fetchWithRetry(async () => {
-    const response = await axios.get('https://www.codechef.com/api/contests', {
-      timeout: 10000
+const alerter = createAlerter({
+  deliver: deliverAdminAlert,
+  throttleMs: Number(process.env.ALERT_THROTTLE_MINUTES) * 60 * 1000 || undefined,
+  escalateAfterMs: Number(process.env.ALERT_ESCALATE_HOURS) * 60 * 60 * 1000 || undefined,
+  maxPerHour: Number(process.env.ALERT_MAX_PER_HOUR) || undefined
+});
+
+const breakerOpen = metrics.gauge('circuit_breaker_open', '1 while a platform\'s circuit breaker is open or half-open');
+
+// Backoff, circuit breaking and caching for the contest APIs (see contest-fetcher.js)
+const contestFetcher = createContestFetcher({
+  retries: process.env.FETCH_RETRIES !== undefined ? Number(process.env.FETCH_RETRIES) : undefined,
+  cacheTtlMs: process.env.FETCH_CACHE_TTL_SECONDS !== undefined ? Number(process.env.FETCH_CACHE_TTL_SECONDS) * 1000 : undefined,
+  failureThreshold: Number(process.env.BREAKER_FAILURE_THRESHOLD) || undefined,
+  cooldownMs: Number(process.env.BREAKER_COOLDOWN_MINUTES) * 60 * 1000 || undefined
+});
+
+contestFetcher.on('attempt', platformId => fetchAttempts.inc({ platform: platformId }));
+contestFetcher.on('failure', (platformId, error, attempt) => {
+  fetchFailures.inc({ platform: platformId });
+  logger.warn(`Error fetching ${platformName(platformId)} contests (attempt ${attempt + 1})`, { platform: platformId, error });
+});
+contestFetcher.on('retry', (platformId, delay) => {
+  logger.info(`Retrying ${platformName(platformId)} fetch in ${(delay / 1000).toFixed(1)} seconds`, { platform: platformId });
+});
+contestFetcher.on('breaker', (platformId, state, details) => {
+  breakerOpen.set({ platform: platformId }, state === 'closed' ? 0 : 1);
+  if (state === 'open') {
+    logger.error(`${platformName(platformId)} circuit breaker opened; serving last-known contests until ${details.retryAt}`, { platform: platformId, failures: details.failures });
+    alerter.alert({
+      key: `platform:${platformId}`,
+      title: `${platformName(platformId)} API is failing`,
+      message: `Serving last-known contests; next try at ${details.retryAt}.`
     });
-    
-    if (!response.data || !response.data.future_contests) {
-      throw new Error('Invalid response structure from CodeChef API');
+  } else {
+    logger.info(`${platformName(platformId)} circuit breaker ${state}`, { platform: platformId });
+    if (state === 'closed') alerter.resolve(`platform:${platformId}`);
+  }
+});
+
+// Fetches upcoming contests and records fresh lists in the contest store.
+// When the platform is unavailable, the last-known list from the store is served instead.
+async function fetchPlatformContests(provider) {
+  const result = await contestFetcher.fetch(provider);
+  
+  if (result === null) {
+    const lastKnown = contestStore.getUpcoming(provider.id);
+    logger.warn(`Serving ${lastKnown.length} last-known ${provider.name} contests`, { platform: provider.id, lastSynced: contestStore.getLastSynced(provider.id) || 'never' });
+    return lastKnown;
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const contests = result.contests.filter(contest => contest.startTime > now);
+  if (result.fresh) {
+    try {
+      contestStore.syncPlatform(provider.id, contests);
+    } catch (error) {
+      logger.error(`Failed to update contest store for ${provider.name}`, { platform: provider.id, error });
     }
-    
-    const futureContests = response.data.future_contests || [];
-    return futureContests.map(contest => ({
-      title: contest.contest_name || 'Unnamed Contest',
-      startTime: new Date(contest.contest_start_date).getTime() / 1000,
-      endTime: new Date(contest.contest_end_date).getTime() / 1000,
-      duration: (new Date(contest.contest_end_date).getTime() - new Date(contest.contest_start_date).getTime()) / 60,
-      url: `https://www.codechef.com/${contest.contest_code}`
-    }));
-  }, 'CodeChef');
+  }
+  return contests;
 }
 
-function formatContestTime(timestamp) {
-  try {
-    const date = new Date(timestamp * 1000);
-    return date.toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    }) + ' IST';
-  } catch (error) {
-    logToFile(`Error formatting contest time: ${error.message}`);
-    return 'Invalid date';
-  }
+// Fetch every platform at once, so one slow or failing API does not hold up the rest
+async function fetchAllPlatformContests(providers) {
+  const lists = await Promise.all(providers.map(provider => fetchPlatformContests(provider)));
+  return providers.map((provider, index) => ({ provider, contests: lists[index] }));
+}
+
+function platformName(platformId) {
+  const provider = getProvider(platformId);
+  return provider ? provider.name : platformId;
+}
+
+// Role mention for a target, falling back to @everyone when none is configured
+function mentionFor(target) {
+  return target.pingRoleId ? `<@&${target.pingRoleId}>` : '@everyone';
 }
 
 // Discord message sending functions with fallback
@@ -204,13 +306,17 @@ async function sendDiscordMessage(channelId, content) {
     if (!channel) {
       throw new Error(`Channel not found: ${channelId}`);
     }
-    return await channel.send(content);
+    const message = await channel.send(content);
+    countMessage(true);
+    alerter.resolve(`channel:${channelId}`);
+    return message;
   } catch (error) {
-    logToFile(`Error sending Discord message: ${error.message}`);
+    countMessage(false);
+    logger.error('Error sending Discord message', { channelId, error });
     
     // Try the backup channel if available
     if (BACKUP_CHANNEL_ID && channelId !== BACKUP_CHANNEL_ID) {
-      logToFile(`Attempting to send to backup channel: ${BACKUP_CHANNEL_ID}`);
+      logger.info('Attempting to send to backup channel', { channelId: BACKUP_CHANNEL_ID });
       try {
         const backupChannel = client.channels.cache.get(BACKUP_CHANNEL_ID);
         if (backupChannel) {
@@ -219,370 +325,615 @@ async function sendDiscordMessage(channelId, content) {
           });
         }
       } catch (backupError) {
-        logToFile(`Failed to send to backup channel: ${backupError.message}`);
+        logger.error('Failed to send to backup channel', { channelId: BACKUP_CHANNEL_ID, error: backupError });
       }
     }
     
-    // Notify admin if available
-    if (DISCORD_ADMIN_ID) {
-      try {
-        const admin = await client.users.fetch(DISCORD_ADMIN_ID);
-        await admin.send(`⚠️ Failed to send reminder to channel ${channelId}: ${error.message}`);
-      } catch (adminError) {
-        logToFile(`Failed to notify admin: ${adminError.message}`);
-      }
-    }
+    alerter.alert({
+      key: `channel:${channelId}`,
+      title: `Cannot post in channel ${channelId}`,
+      message: error.message
+    });
     
     return null;
   }
 }
 
-async function sendContestsReminder(platform, contests) {
-  logToFile(`Sending ${platform} contest reminder, found ${contests.length} contests`);
+// Send every page of a paginated message in order; resolves to the first
+// message, or null if it could not be delivered
+async function sendPages(channelId, pages) {
+  let first = null;
+  for (const [index, page] of pages.entries()) {
+    const message = await sendDiscordMessage(channelId, page);
+    if (index === 0) first = message;
+    if (!message) break;
+  }
+  return first;
+}
+
+// Post schedule changes detected by the contest store. Each channel only hears
+// about contests its filter lets through, whatever their start date.
+async function sendContestUpdates(platformId, changes) {
+  const provider = getProvider(platformId);
+  const platform = provider ? provider.name : platformId;
+  const targets = guildConfig.getTargets(platformId);
+  logger.info(`Sending ${changes.length} ${platform} contest updates to ${targets.length} channels`, { platform: platformId });
   
   try {
-    if (contests.length === 0) {
-      await sendDiscordMessage(CHANNEL_ID, `📭 No upcoming ${platform} contests found. Keep practicing! 🚀`);
-      return;
+    for (const target of targets) {
+      const relevant = changes.filter(change => matchesFilter(change.contest, target.filter, { lookahead: false }));
+      if (relevant.length === 0) continue;
+      
+      await sendPages(target.channelId, renderContestUpdates({
+        platform,
+        color: provider ? provider.color : undefined,
+        changes: relevant
+      }));
     }
+    return true;
+  } catch (error) {
+    logger.error(`Error in sendContestUpdates for ${platform}`, { platform: platformId, error });
+    return false;
+  }
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle(`🎉 Upcoming ${platform} Contests 🎉`)
-      .setColor(platform === 'LeetCode' ? '#FFA500' : '#5B4638')
-      .setTimestamp()
-      .setFooter({ text: 'Contest Reminder Bot' });
-
-    contests.forEach(contest => {
-      if (!contest.title || !contest.startTime) {
-        logToFile(`Warning: Incomplete contest data for ${platform}: ${JSON.stringify(contest)}`);
-        return;
-      }
-      
-      embed.addFields({
-        name: `🔥 ${contest.title}`,
-        value:
-          `📅 **Date & Time:** ${formatContestTime(contest.startTime)}\n` +
-          `⏳ **Duration:** ${Math.round((contest.duration || 0) / 60)} hours\n` +
-          (contest.url ? `🔗 [Join Now](${contest.url})\n` : '') +
-          (contest.description ? `📝 ${contest.description.substring(0, 1000)}` : '')
-      });
-    });
+contestStore.on('changes', (platformId, changes) => {
+  lifecycle.track(`contest-updates:${platformId}`, sendContestUpdates(platformId, changes));
+});
 
-    const msg = await sendDiscordMessage(CHANNEL_ID, { 
-      content: `@everyone 💥 Here's your **${platform} Contest Reminder**! Stay sharp and good luck! 🍀`, 
-      embeds: [embed] 
-    });
+async function sendContestsReminder(provider, contests) {
+  const platform = provider.name;
+  const targets = guildConfig.getTargets(provider.id);
+  logger.info(`Sending ${platform} contest reminder to ${targets.length} channels, found ${contests.length} contests`, { platform: provider.id });
+  
+  try {
+    contests
+      .filter(contest => !contest.title || !contest.startTime)
+      .forEach(contest => logger.warn(`Incomplete contest data for ${platform}`, { platform: provider.id, contest }));
     
-    if (msg) {
-      try {
-        await msg.react('✅');
-      } catch (reactError) {
-        logToFile(`Failed to add reaction to message: ${reactError.message}`);
-      }
+    for (const target of targets) {
+      const selected = applyFilter(contests, target.filter, { defaultLookaheadDays: DIGEST_LOOKAHEAD_DAYS });
+      // Members answer with the RSVP buttons under each contest
+      await sendPages(target.channelId, renderContestList({
+        platform,
+        color: provider.color,
+        contests: selected,
+        mention: mentionFor(target),
+        rsvp: true
+      }));
     }
     
     return true;
   } catch (error) {
-    logToFile(`Error in sendContestsReminder for ${platform}: ${error.message}`);
+    logger.error(`Error in sendContestsReminder for ${platform}`, { platform: provider.id, error });
     return false;
   }
 }
 
 async function sendCombinedReminder() {
-  logToFile('Starting combined reminder function at: ' + new Date().toISOString());
+  logger.info('Starting combined reminder', { job: 'combined-reminder' });
   global.lastScheduledCheck = new Date().toISOString();
   
   try {
-    const leetcodeContests = await fetchLeetCodeContests();
-    logToFile(`Fetched ${leetcodeContests.length} LeetCode contests`);
+    const results = [];
     
-    const codechefContests = await fetchCodeChefContests();
-    logToFile(`Fetched ${codechefContests.length} CodeChef contests`);
-    
-    const lcResult = await sendContestsReminder('LeetCode', leetcodeContests);
-    const ccResult = await sendContestsReminder('CodeChef', codechefContests);
+    for (const { provider, contests } of await fetchAllPlatformContests(getEnabledProviders())) {
+      logger.info(`Fetched ${contests.length} ${provider.name} contests`, { platform: provider.id });
+      
+      const result = await sendContestsReminder(provider, contests);
+      results.push(`${provider.name}: ${result}`);
+    }
     
-    logToFile(`Combined reminder sent successfully. LeetCode: ${lcResult}, CodeChef: ${ccResult}`);
+    logger.info(`Combined reminder sent successfully. ${results.join(', ')}`, { job: 'combined-reminder' });
     return true;
   } catch (error) {
-    logToFile(`Error in sendCombinedReminder: ${error.message}`);
-    logToFile(error.stack);
-    
-    // Notify admin about the failure
-    if (DISCORD_ADMIN_ID) {
-      try {
-        const admin = await client.users.fetch(DISCORD_ADMIN_ID);
-        await admin.send(`❌ Combined reminder failed: ${error.message}`);
-      } catch (adminError) {
-        logToFile(`Failed to notify admin about combined reminder failure: ${adminError.message}`);
-      }
-    }
-    
+    logger.error('Error in sendCombinedReminder', { job: 'combined-reminder', error });
     return false;
   }
 }
 
-async function sendLeetCodeReminder() {
-  logToFile('Starting LeetCode reminder function at: ' + new Date().toISOString());
+async function sendPlatformReminder(platformId) {
+  const provider = getProvider(platformId);
+  if (!provider) {
+    logger.error(`Unknown contest platform: ${platformId}`, { platform: platformId });
+    return false;
+  }
+  
+  logger.info(`Starting ${provider.name} reminder`, { platform: provider.id });
   global.lastScheduledCheck = new Date().toISOString();
   
   try {
-    const leetcodeContests = await fetchLeetCodeContests();
-    logToFile(`Fetched ${leetcodeContests.length} LeetCode contests`);
+    const contests = await fetchPlatformContests(provider);
+    logger.info(`Fetched ${contests.length} ${provider.name} contests`, { platform: provider.id });
     
-    const result = await sendContestsReminder('LeetCode', leetcodeContests);
-    logToFile(`LeetCode reminder sent successfully: ${result}`);
+    const result = await sendContestsReminder(provider, contests);
+    logger.info(`${provider.name} reminder sent successfully: ${result}`, { platform: provider.id });
     return result;
   } catch (error) {
-    logToFile(`Error in sendLeetCodeReminder: ${error.message}`);
+    logger.error(`Error in sendPlatformReminder for ${provider.name}`, { platform: provider.id, error });
     return false;
   }
 }
 
-async function sendCodeChefReminder() {
-  logToFile('Starting CodeChef reminder function at: ' + new Date().toISOString());
-  global.lastScheduledCheck = new Date().toISOString();
+function buildContestReminder(offset, contest, { mention, timezone = null, rsvp = false }) {
+  return renderContestReminder({ offset, contest, platform: platformName(contest.platform), mention, timezone, rsvp });
+}
+
+// The 10-minute warning pings only the platform's opt-in role and the members
+// who RSVP'd Going; with neither, it is posted without a mention
+function reminderMention(offset, contest, target) {
+  if (offset.key !== RSVP_MENTION_OFFSET || !target.guildId) return mentionFor(target);
   
-  try {
-    const codechefContests = await fetchCodeChefContests();
-    logToFile(`Fetched ${codechefContests.length} CodeChef contests`);
-    
-    const result = await sendContestsReminder('CodeChef', codechefContests);
-    logToFile(`CodeChef reminder sent successfully: ${result}`);
-    return result;
-  } catch (error) {
-    logToFile(`Error in sendCodeChefReminder: ${error.message}`);
-    return false;
+  const going = rsvpStore.getResponses(target.guildId, contest.platform, contest.id).going;
+  const mentions = [
+    ...(target.optInRoleId ? [`<@&${target.optInRoleId}>`] : []),
+    ...going.map(userId => `<@${userId}>`)
+  ];
+  if (mentions.length === 0) return '';
+  
+  // Stay well inside the 2000-character message limit
+  let mention = '';
+  for (const item of mentions) {
+    if (mention.length + item.length + 1 > 1500) break;
+    mention = mention ? `${mention} ${item}` : item;
   }
+  return mention;
 }
 
-async function scheduleTenMinuteWarnings() {
-  logToFile('Scheduling ten-minute warnings at: ' + new Date().toISOString());
-  global.lastScheduledCheck = new Date().toISOString();
+async function sendContestReminder(offset, contest, target) {
+  logger.info(`Sending ${offset.key} reminder for ${contest.title}`, { platform: contest.platform, contestId: contest.id, guildId: target.guildId });
+  
+  const payload = buildContestReminder(offset, contest, {
+    mention: reminderMention(offset, contest, target),
+    rsvp: true
+  });
+  const msg = await sendDiscordMessage(target.channelId, payload);
+  
+  if (!msg) {
+    throw new Error(`Could not deliver ${offset.key} reminder for ${contest.title}`);
+  }
+  
+  // Reminders with RSVP buttons need no reaction
+  if (payload.components) return;
   
   try {
-    const leetcodeContests = await fetchLeetCodeContests();
-    const codechefContests = await fetchCodeChefContests();
-    
-    const allContests = [
-      ...leetcodeContests.map(c => ({ ...c, platform: 'LeetCode' })),
-      ...codechefContests.map(c => ({ ...c, platform: 'CodeChef' }))
-    ];
-
-    const now = Math.floor(Date.now() / 1000);
-    let warningsScheduled = 0;
-
-    allContests.forEach(contest => {
-      if (!contest.startTime) {
-        logToFile(`Warning: Contest missing startTime: ${JSON.stringify(contest)}`);
-        return;
-      }
-      
-      const timeUntilStart = contest.startTime - now;
-      const tenMinBefore = timeUntilStart - 600; // 10 minutes in seconds
-
-      if (tenMinBefore > 0 && tenMinBefore < 1800) { // Only schedule if within 30 minutes
-        warningsScheduled++;
-        
-        setTimeout(async () => {
-          try {
-            logToFile(`Sending 10-minute warning for ${contest.platform} contest: ${contest.title}`);
-            
-            const reminderEmbed = new EmbedBuilder()
-              .setTitle(`🚨 10 Minutes Left for ${contest.platform} Contest!`)
-              .setColor('#FF0000')
-              .addFields({
-                name: contest.title,
-                value: `🎯 Starts at: ${formatContestTime(contest.startTime)}\n💥 Gear up and give your best! 🔥`
-              });
-
-            const msg = await sendDiscordMessage(CHANNEL_ID, { 
-              content: '@everyone ⚠️ 10-Minute Countdown Begins!', 
-              embeds: [reminderEmbed] 
-            });
-            
-            if (msg) {
-              try {
-                await msg.react('✅');
-              } catch (reactError) {
-                logToFile(`Failed to add reaction to 10-min warning: ${reactError.message}`);
-              }
-            }
-          } catch (error) {
-            logToFile(`Error sending 10-minute warning: ${error.message}`);
-          }
-        }, tenMinBefore * 1000);
-      }
-    });
-
-    logToFile(`Scheduled ${warningsScheduled} ten-minute warnings`);
-    return true;
-  } catch (error) {
-    logToFile(`Error scheduling ten-minute warnings: ${error.message}`);
-    return false;
+    await msg.react('✅');
+  } catch (reactError) {
+    logger.warn(`Failed to add reaction to ${offset.key} reminder`, { platform: contest.platform, contestId: contest.id, error: reactError });
   }
 }
 
-// Manual trigger command
-client.on('messageCreate', async message => {
-  if (message.author.bot) return;
+// DM a reminder to every subscribed user who is not in their quiet hours
+async function sendDirectReminders(offset, contest) {
+  const recipients = subscriptions.getDmRecipients(contest.platform);
+  logger.info(`Sending ${offset.key} reminder DMs for ${contest.title} to ${recipients.length} users`, { platform: contest.platform, contestId: contest.id });
   
-  if (message.content.startsWith('!contest')) {
-    const args = message.content.split(' ');
-    
-    if (args[1] === 'check') {
-      await message.reply('Running contest check...');
-      await sendCombinedReminder();
-    } else if (args[1] === 'leetcode') {
-      await message.reply('Checking LeetCode contests...');
-      await sendLeetCodeReminder();
-    } else if (args[1] === 'codechef') {
-      await message.reply('Checking CodeChef contests...');
-      await sendCodeChefReminder();
-    } else if (args[1] === 'warn') {
-      await message.reply('Scheduling 10-minute warnings...');
-      await scheduleTenMinuteWarnings();
-    } else if (args[1] === 'status') {
-      await message.reply(`Bot is running. Last check: ${global.lastScheduledCheck || 'No checks yet'}`);
-    } else {
-      await message.reply('Available commands: `!contest check`, `!contest leetcode`, `!contest codechef`, `!contest warn`, `!contest status`');
+  for (const userId of recipients) {
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(buildContestReminder(offset, contest, {
+        mention: '',
+        timezone: subscriptions.getTimezone(userId)
+      }));
+      countMessage(true, 'dm');
+    } catch (error) {
+      countMessage(false, 'dm');
+      logger.warn(`Failed to DM ${offset.key} reminder`, { platform: contest.platform, contestId: contest.id, userId, error });
     }
   }
+}
+
+async function sendReminderJob(job) {
+  // Jobs queued before offsets were configurable are all 10-minute warnings
+  const offset = job.offset || parseOffset('10m');
+  if (job.guildId === DM_TARGET_ID) {
+    await sendDirectReminders(offset, job.contest);
+    return;
+  }
+  
+  // The guild may have changed its channels or platforms since the job was queued
+  const target = guildConfig.getTarget(job.guildId, job.contest.platform);
+  if (!target || !target.channelId) {
+    logger.warn(`Skipping reminder ${job.id}: no channel configured`, { platform: job.contest.platform, contestId: job.contest.id, guildId: job.guildId });
+    return;
+  }
+  if (!matchesFilter(job.contest, target.filter, { lookahead: false })) {
+    logger.info(`Skipping reminder ${job.id}: the channel's filter excludes this contest`, { platform: job.contest.platform, contestId: job.contest.id, guildId: job.guildId });
+    return;
+  }
+  await sendContestReminder(offset, job.contest, target);
+}
+
+const reminderScheduler = createReminderScheduler({
+  send: job => lifecycle.run(`reminder:${job.id}`, async () => {
+    try {
+      await sendReminderJob(job);
+      remindersFired.inc({ platform: job.contest.platform, result: 'sent' });
+    } catch (error) {
+      remindersFired.inc({ platform: job.contest.platform, result: 'failed' });
+      throw error;
+    }
+  })
 });
 
-// CRON SCHEDULES
+// Drop a guild's pending reminders and queue them again with its current settings
+async function rescheduleGuildReminders(guildId) {
+  const cancelled = reminderScheduler.cancelWhere(job => job.guildId === guildId);
+  logger.info(`Cancelled ${cancelled} pending reminders after a config change`, { guildId });
+  return scheduleContestReminders();
+}
+
+function isSameContest(job, contest) {
+  return job.contest.platform === contest.platform && job.contest.id === contest.id;
+}
 
-// Validate cron expressions
-function validateCronExpression(expr, name) {
+// Drop reminders for contests the platform no longer lists
+contestStore.on('changes', (platformId, changes) => {
+  changes
+    .filter(change => change.type === 'removed')
+    .forEach(change => reminderScheduler.cancelWhere(job => isSameContest(job, change.contest)));
+});
+
+// Queue a durable reminder for every configured offset of every upcoming contest.
+// Jobs are keyed per contest and offset, so repeated runs never queue
+// duplicates and rescheduled contests have their reminders moved.
+async function scheduleContestReminders() {
+  logger.info('Scheduling contest reminders', { job: 'contest-reminders' });
+  global.lastScheduledCheck = new Date().toISOString();
+  
   try {
-    // Test if expression is valid
-    cron.validate(expr);
+    let remindersScheduled = 0;
+
+    for (const { provider, contests } of await fetchAllPlatformContests(getEnabledProviders())) {
+      const targets = guildConfig.getTargets(provider.id);
+      if (subscriptions.hasDmSubscribers(provider.id)) {
+        targets.push({ guildId: DM_TARGET_ID, offsets: null });
+      }
+
+      for (const target of targets) {
+        let offsets;
+        try {
+          offsets = target.offsets
+            ? parseOffsetList(target.offsets.join(','))
+            : getOffsetsForPlatform(provider.id);
+        } catch (error) {
+          logger.error(`Invalid reminder offsets for ${provider.name}`, { platform: provider.id, guildId: target.guildId, error });
+          continue;
+        }
+
+        // Reminders are queued whatever the lookahead window, since they only fire close to the contest
+        applyFilter(contests, target.filter, { lookahead: false }).forEach(contest => {
+          if (!contest.startTime) {
+            logger.warn('Contest missing startTime', { platform: provider.id, contest });
+            return;
+          }
+          
+          offsets.forEach(offset => {
+            const fireAt = getFireTime(offset, contest);
+            if (fireAt === null) return;
+
+            // Legacy single-channel jobs keep their original, guild-less ids
+            const baseId = `${contest.platform}:${contest.id}:${offset.key}`;
+            const scheduled = reminderScheduler.schedule({
+              id: target.guildId ? `${target.guildId}:${baseId}` : baseId,
+              guildId: target.guildId,
+              offset,
+              contest,
+              fireAt,
+              expiresAt: getExpiryTime(offset, contest)
+            });
+            if (scheduled) remindersScheduled++;
+          });
+        });
+      }
+    }
+
+    logger.info(`Scheduled ${remindersScheduled} new contest reminders (${reminderScheduler.getPending().length} pending)`, { job: 'contest-reminders' });
     return true;
   } catch (error) {
-    logToFile(`Invalid cron expression for ${name}: ${expr}`);
-    logToFile(`Error: ${error.message}`);
+    logger.error('Error scheduling contest reminders', { job: 'contest-reminders', error });
     return false;
   }
 }
 
-// Define cron jobs with validation
-const cronJobs = [
-  {
-    name: 'LeetCode Saturday',
-    expression: '30 12 * * 6',
-    handler: sendLeetCodeReminder,
-    description: 'LeetCode on Saturdays at 6:00 PM IST (12:30 UTC)'
-  },
-  {
-    name: 'CodeChef Wednesday',
-    expression: '30 12 * * 3',
-    handler: sendCodeChefReminder,
-    description: 'CodeChef on Wednesdays at 6:00 PM IST (12:30 UTC)'
-  },
-  {
-    name: 'Combined Sunday',
-    expression: '0 10 * * 0',
-    handler: sendCombinedReminder,
-    description: 'Combined reminder on Sundays at 3:30 PM IST (10:00 UTC)'
-  },
-  {
-    name: 'Ten-minute warnings',
-    expression: '*/30 * * * *',
-    handler: scheduleTenMinuteWarnings,
-    description: 'Schedule ten-minute reminders every 30 mins'
-  }
-];
+// Context for commands, feature jobs and lifecycle hooks
+const commandDeps = {
+  client,
+  getProviders: () => getEnabledProviders(),
+  getProvider,
+  getContests: provider => fetchPlatformContests(provider),
+  scheduleReminders: () => scheduleContestReminders(),
+  sendPlatformReminder,
+  sendCombinedReminder,
+  guildConfig,
+  subscriptions,
+  pollStore,
+  revisionStore,
+  announcementStore,
+  quoteStore,
+  contestStore,
+  resultsStore,
+  rsvpStore,
+  getResultProviders: () => getResultProviders(),
+  fetchResults: (provider, contest, handles) => fetchResults(provider, contest, handles),
+  checkHandle: (provider, handle) => provider.results.checkHandle(handle),
+  onConfigChanged: guildId => rescheduleGuildReminders(guildId),
+  getStatus: () => ({
+    lastCheck: global.lastScheduledCheck,
+    pendingReminders: reminderScheduler.getPending().length,
+    lastSynced: Object.fromEntries(getEnabledProviders().map(p => [p.name, contestStore.getLastSynced(p.id)])),
+    breakers: Object.fromEntries(Object.entries(contestFetcher.getBreakerStates()).map(([id, state]) => [platformName(id), state]))
+  }),
+  discordTimeWithCountdown,
+  formatDuration,
+  readLogs: options => logger.readRecent(options),
+  adminUserIds: ADMIN_IDS,
+  buildPreviews: (type, options) => buildPreviews(type, previewDeps(), options),
+  isFeatureEnabled: (featureId, guildId) => featureHost.isEnabled(featureId, guildId),
+  listFeatures: () => featureHost.listFeatures(),
+  runJob: runScheduledJob,
+  countMessage,
+  alerter
+};
+
+// REST API and dashboard; mounted here rather than with the routes above
+// because they read the stores and scheduler created in between
+const apiDeps = {
+  getProviders: () => getEnabledProviders(),
+  getProvider,
+  contestStore,
+  getPendingReminders: () => reminderScheduler.getPending(),
+  pollStore,
+  guildConfig,
+  listGuildIds: () => [...client.guilds.cache.keys()],
+  sendContestLists: () => (client.isReady() ? runFeatureJobNow('contests', 'Combined Sunday') : null),
+  scheduleReminders: () => runFeatureJobNow('contests', 'Contest reminders'),
+  sendAnnouncement: (id, guildId) => featureHost.getFeature('daily-messages').sendAnnouncementNow(id, guildId),
+  apiToken: process.env.API_TOKEN || null,
+  corsOrigin: process.env.API_CORS_ORIGIN || '*'
+};
+
+app.use('/api', createApiRouter(apiDeps));
+
+// Every channel the bot is configured to post contest or daily messages in
+function getConfiguredChannelIds() {
+  const contestChannels = getEnabledProviders()
+    .flatMap(provider => guildConfig.getTargets(provider.id))
+    .map(target => target.channelId);
+  const dailyChannels = guildConfig.getDailyTargets().map(target => target.channelId);
+  return [...new Set([...contestChannels, ...dailyChannels].filter(Boolean))];
+}
 
-// Schedule validated cron jobs
-cronJobs.forEach(job => {
-  if (validateCronExpression(job.expression, job.name)) {
-    cron.schedule(job.expression, async () => {
-      logToFile(`Running scheduled job: ${job.name} - ${job.description}`);
-      try {
-        await job.handler();
-      } catch (error) {
-        logToFile(`Error in cron job ${job.name}: ${error.message}`);
-      }
-    }, { timezone: 'UTC' });
-    
-    logToFile(`Scheduled: ${job.name} - ${job.description}`);
-  } else {
-    logToFile(`Failed to schedule job: ${job.name}`);
-  }
+app.use('/health', createHealthRouter({
+  client,
+  getChannelIds: getConfiguredChannelIds,
+  getProviders: () => getEnabledProviders(),
+  getLastSynced: platformId => contestStore.getLastSynced(platformId),
+  getLastScheduledCheck: () => global.lastScheduledCheck,
+  maxFetchAgeMinutes: Number(process.env.HEALTH_MAX_FETCH_AGE_MINUTES) || undefined
+}));
+
+// Gauges read from live state on every scrape
+metrics.onCollect(() => {
+  gatewayConnected.set({}, client.isReady() ? 1 : 0);
+  pendingReminderCount.set({}, reminderScheduler.getPending().length);
+  getEnabledProviders().forEach(provider => {
+    const lastSynced = contestStore.getLastSynced(provider.id);
+    if (lastSynced) lastFetchSuccess.set({ platform: provider.id }, Math.floor(Date.parse(lastSynced) / 1000));
+  });
 });
 
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
+// Dashboard: /dashboard?tz=Europe/Berlin (server timezone by default)
+app.get('/dashboard', (req, res) => {
+  const timezone = req.query.tz && isValidTimezone(String(req.query.tz)) ? String(req.query.tz) : DEFAULT_TIMEZONE;
+  res.send(renderDashboard({
+    contests: listContests(apiDeps),
+    reminders: reminderScheduler.getPending(),
+    getPlatformName: platformName,
+    timezone,
+    lastCheck: global.lastScheduledCheck
+  }));
+});
+
+// Commands in progress are waited for on shutdown; new ones are ignored
+client.on('interactionCreate', interaction => {
+  if (lifecycle.isStopping()) return;
+  lifecycle.track(`interaction:${interaction.commandName || interaction.customId}`, featureHost.handleInteraction(interaction));
+});
+
+// CRON SCHEDULES
+
+// Every feature job goes through here, so failures are timed and alerted alike
+// and a run is skipped while the previous one is still going.
+// Handlers report failures by throwing or by resolving to false.
+function runScheduledJob(job, run) {
+  return lifecycle.run(job.name, async () => {
+    logger.info(`Running scheduled job: ${job.description || job.name}`, { job: job.name });
+    const started = Date.now();
+    let failure = null;
+    try {
+      if (await run() === false) failure = 'the job reported a failure, see the logs';
+    } catch (error) {
+      logger.error('Error in cron job', { job: job.name, error });
+      failure = error.message;
+    }
+    cronDuration.observe({ job: job.name }, (Date.now() - started) / 1000);
+    
+    alerter.recordJob(job.name, !failure);
+    if (failure) {
+      alerter.alert({ key: `job:${job.name}`, title: `Scheduled job "${job.name}" failed`, message: failure });
+    } else {
+      alerter.resolve(`job:${job.name}`);
+    }
+  });
+}
+
+// Run a feature job outside its schedule, under the same name as its cron run
+// so the two never overlap and shutdown waits for it. Resolves to the handler's
+// result, or undefined when the run was skipped or threw.
+async function runFeatureJobNow(featureId, jobName) {
+  const job = featureHost.getFeature(featureId).jobs.find(candidate => candidate.name === jobName);
+  let result;
+  await runScheduledJob(job, async () => {
+    result = await job.handler(commandDeps);
+    return result;
+  });
+  return result;
+}
+
 // Handle Discord connection
 client.once('ready', () => {
-  logToFile(`✅ Logged in as ${client.user.tag}`);
-  logToFile('🕒 Reminders scheduled!');
+  logger.info(`✅ Logged in as ${client.user.tag}`);
+  logger.info('🕒 Reminders scheduled!');
   
   // Initialize the bot's status
   client.user.setActivity('for contests...', { type: 'WATCHING' });
   
   // Check channel access
-  const channel = client.channels.cache.get(CHANNEL_ID);
-  if (!channel) {
-    logToFile(`⚠️ WARNING: Cannot find channel with ID ${CHANNEL_ID}`);
-  } else {
-    logToFile(`✅ Successfully connected to channel: ${channel.name}`);
+  const channelIds = getConfiguredChannelIds();
+  if (channelIds.length === 0) {
+    logger.warn('No contest channel configured. Set CHANNEL_ID or use /contests config channel');
   }
+  channelIds.forEach(channelId => {
+    const channel = client.channels.cache.get(channelId);
+    if (!channel) {
+      logger.warn('Cannot find configured channel', { channelId });
+    } else {
+      logger.info(`✅ Successfully connected to channel: ${channel.name}`, { channelId });
+    }
+  });
   
-  // Initialize daily messages
-  try {
-    initDailyMessages(client);
-    logToFile('✅ Daily messages initialized');
-  } catch (error) {
-    logToFile(`⚠️ Error initializing daily messages: ${error.message}`);
-  }
+  // Re-arm reminders persisted before the last restart
+  reminderScheduler.start();
+  
+  // Schedule feature jobs and run their start hooks
+  featureHost.start(commandDeps);
 });
 
 // Error handling for Discord
 client.on('error', error => {
-  logToFile(`Discord client error: ${error.message}`);
+  logger.error('Discord client error', { error });
 });
 
 client.on('shardError', error => {
-  logToFile(`Discord websocket error: ${error.message}`);
+  logger.error('Discord websocket error', { error });
 });
 
 // Reconnection handling
 client.on('disconnect', () => {
-  logToFile('Bot disconnected from Discord!');
+  logger.warn('Bot disconnected from Discord!');
 });
 
 client.on('reconnecting', () => {
-  logToFile('Bot is reconnecting to Discord...');
-});
-
-// Handle process-level errors
-process.on('uncaughtException', (error) => {
-  logToFile(`Uncaught Exception: ${error.message}`);
-  logToFile(error.stack);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  logToFile('Unhandled Rejection at:', promise);
-  logToFile(`Reason: ${reason}`);
+  logger.info('Bot is reconnecting to Discord...');
 });
 
 // Login with retry
 async function loginWithRetry(retries = 0) {
   try {
-    logToFile('Attempting to log in to Discord...');
+    logger.info('Attempting to log in to Discord...');
     await client.login(DISCORD_TOKEN);
   } catch (error) {
-    logToFile(`Login failed (attempt ${retries + 1}/${MAX_RETRIES}): ${error.message}`);
+    logger.error(`Login failed (attempt ${retries + 1}/${MAX_RETRIES})`, { error });
     
     if (retries < MAX_RETRIES) {
       const delay = RETRY_DELAY * (retries + 1);
-      logToFile(`Retrying login in ${delay / 1000} seconds...`);
+      logger.info(`Retrying login in ${delay / 1000} seconds...`);
       setTimeout(() => loginWithRetry(retries + 1), delay);
     } else {
-      logToFile('All login attempts failed. Exiting...');
+      logger.error('All login attempts failed. Exiting...');
       process.exit(1);
     }
   }
 }
 
-// Start the bot
-loginWithRetry();
\ No newline at end of file
+// Upcoming contests without touching the contest store, so a dry run never
+// records schedule changes that the running bot would then fail to announce
+async function peekPlatformContests(provider) {
+  const result = await contestFetcher.fetch(provider);
+  if (result === null) return contestStore.getUpcoming(provider.id);
+  
+  const now = Math.floor(Date.now() / 1000);
+  return result.contests.filter(contest => contest.startTime > now);
+}
+
+// Previews and dry runs read contests with peekPlatformContests, so building
+// one never writes the store or announces schedule changes
+function previewDeps() {
+  return { ...commandDeps, getContests: peekPlatformContests };
+}
+
+// `node index.js --dry-run [type ...]` prints the payloads the bot would post
+// as JSON and exits, without logging in to Discord or starting any jobs
+async function dryRun(types) {
+  const deps = previewDeps();
+  const output = [];
+  
+  for (const type of types) {
+    const previews = await buildPreviews(type, deps);
+    previews.forEach(({ label, payload }) => output.push({ type, label, payload: toJSON(payload) }));
+  }
+  
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+}
+
+// Start the bot: web server and Discord login. Feature jobs are scheduled
+// once the client is ready
+function start() {
+  const requiredEnvVars = ['DISCORD_TOKEN'];
+  const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+  if (missingEnvVars.length > 0) {
+    logger.error(`Missing required environment variables: ${missingEnvVars.join(', ')}`);
+    process.exit(1);
+  }
+  
+  server = app.listen(port, () => {
+    logger.info(`Server running on port ${port}`);
+  });
+  
+  // Graceful shutdown: nothing new starts, then sends in progress get
+  // SHUTDOWN_TIMEOUT_SECONDS to finish before the client is destroyed
+  lifecycle.onStop('feature jobs', () => featureHost.stop());
+  lifecycle.onStop('reminder timers', () => reminderScheduler.stop());
+  lifecycle.onStop('http server', () => {
+    // Requests already being handled are waited for like any other work
+    lifecycle.track('http requests', new Promise(resolve => server.close(() => resolve())));
+    server.closeIdleConnections();
+  });
+  lifecycle.onClose('pending reminders', () => {
+    logger.info(`${reminderScheduler.getPending().length} pending reminders saved for the next start`);
+  });
+  lifecycle.onClose('discord client', () => client.destroy());
+  
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  
+  // Handle process-level errors
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught exception', { error });
+  });
+  
+  process.on('unhandledRejection', reason => {
+    logger.error('Unhandled promise rejection', { error: reason instanceof Error ? reason : String(reason) });
+  });
+  
+  loginWithRetry();
+}
+
+if (require.main === module) {
+  if (DRY_RUN) {
+    const dryRunIndex = process.argv.indexOf('--dry-run');
+    const requested = dryRunIndex === -1 ? [] : process.argv.slice(dryRunIndex + 1).filter(arg => !arg.startsWith('--'));
+    dryRun(requested.length > 0 ? requested : PREVIEW_TYPES).catch(error => {
+      logger.error('Dry run failed', { error });
+      process.exitCode = 1;
+    });
+  } else {
+    start();
+  }
+}
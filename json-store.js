@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// Read a JSON file, falling back to a default when it is missing or corrupt
+function loadJson(file, fallback) {
+  try {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read ${file}, starting fresh`, { error });
+    return fallback;
+  }
+}
+
+// Write via a temp file and rename so a crash never leaves half a file behind
+function saveJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { dataPath, loadJson, saveJson };
@@ -0,0 +1,130 @@
+const { logger } = require('./logger');
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+// Tracks work in progress so a shutdown never cuts a send off halfway:
+//   run(name, task)     -> runs task() unless the bot is shutting down or a run
+//                          with the same name is still going (so a slow cron job
+//                          cannot overlap itself); resolves to false if skipped
+//   track(name, promise) -> waits for work that is already under way
+//   onStop(name, hook)  -> called first on shutdown to stop new work arriving
+//                          (cron tasks, reminder timers, the HTTP server)
+//   onClose(name, hook) -> called in order once work has drained or `deadlineMs`
+//                          has passed (persisting state, destroying the client)
+//   shutdown(signal)    -> resolves to { signal, drained, abandoned, durationMs }
+function createLifecycle({ deadlineMs = 15000, clock = realClock } = {}) {
+  const inFlight = new Set();
+  const stopHooks = [];
+  const closeHooks = [];
+  let stopping = false;
+  let shutdownPromise = null;
+
+  function track(name, promise) {
+    const entry = { name, startedAt: clock.now(), promise: Promise.resolve(promise) };
+    inFlight.add(entry);
+    entry.promise.then(() => inFlight.delete(entry), () => inFlight.delete(entry));
+    return promise;
+  }
+
+  function isRunning(name) {
+    return [...inFlight].some(entry => entry.name === name);
+  }
+
+  async function run(name, task) {
+    if (stopping) {
+      logger.info(`Not starting ${name}: shutting down`, { job: name });
+      return false;
+    }
+    if (isRunning(name)) {
+      logger.warn(`Skipping ${name}: the previous run is still in progress`, { job: name });
+      return false;
+    }
+    return track(name, task());
+  }
+
+  function onStop(name, hook) {
+    stopHooks.push({ name, hook });
+  }
+
+  function onClose(name, hook) {
+    closeHooks.push({ name, hook });
+  }
+
+  async function callHook({ name, hook }) {
+    try {
+      await hook();
+    } catch (error) {
+      logger.error(`Shutdown step "${name}" failed`, { error });
+    }
+  }
+
+  // Resolves once every entry has settled or the deadline passed, with the
+  // names of the entries that settled in time
+  async function drain() {
+    const drained = [];
+    const waiting = [...inFlight].map(entry => entry.promise.then(
+      () => drained.push(entry.name),
+      () => drained.push(entry.name)
+    ));
+
+    let timer = null;
+    const deadline = new Promise(resolve => {
+      timer = clock.setTimeout(resolve, deadlineMs);
+    });
+    await Promise.race([Promise.all(waiting), deadline]);
+    clock.clearTimeout(timer);
+    return drained;
+  }
+
+  async function performShutdown(signal) {
+    const started = clock.now();
+    logger.info(`Received ${signal}; stopping new work and waiting up to ${deadlineMs / 1000}s for ${inFlight.size} tasks`);
+
+    // Stop hooks are called together, so no timer can fire between them
+    await Promise.all(stopHooks.map(callHook));
+
+    const drained = await drain();
+    const abandoned = [...inFlight].map(entry => entry.name);
+
+    for (const hook of closeHooks) {
+      await callHook(hook);
+    }
+
+    const report = { signal, drained, abandoned, durationMs: clock.now() - started };
+    if (abandoned.length > 0) {
+      logger.warn(`Shutdown finished with ${abandoned.length} tasks cut off: ${abandoned.join(', ')}`, { drained: drained.length });
+    } else {
+      logger.info(`Shutdown finished cleanly; drained ${drained.length} tasks${drained.length > 0 ? `: ${drained.join(', ')}` : ''}`);
+    }
+    return report;
+  }
+
+  // Repeated signals share the first shutdown
+  function shutdown(signal = 'shutdown') {
+    if (!shutdownPromise) {
+      stopping = true;
+      shutdownPromise = performShutdown(signal);
+    }
+    return shutdownPromise;
+  }
+
+  function isStopping() {
+    return stopping;
+  }
+
+  return {
+    run,
+    track,
+    isRunning,
+    isStopping,
+    onStop,
+    onClose,
+    shutdown
+  };
+}
+
+module.exports = { createLifecycle };
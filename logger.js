@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { Console } = require('console');
+
+// Shared logger: JSON lines in a size-rotated file plus a readable console line.
+//   LOG_FILE       -> current log file (default ./logs/bot-log.jsonl)
+//   LOG_LEVEL      -> lowest level written: debug, info, warn or error (default info)
+//   LOG_MAX_BYTES  -> rotate once the file reaches this size (default 5 MB)
+//   LOG_MAX_FILES  -> rotated files kept as bot-log.jsonl.1 ... .N (default 5)
+// A dry run (`--dry-run` or DRY_RUN=true) prints its JSON on stdout, so the
+// console lines go to stderr there.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Error objects do not survive JSON.stringify, so keep their message and stack
+function serializeContext(context) {
+  const result = {};
+  Object.entries(context).forEach(([key, value]) => {
+    if (value === undefined) return;
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  });
+  return result;
+}
+
+function formatConsoleLine(entry) {
+  const { time, level, message, ...context } = entry;
+  const fields = Object.entries(context)
+    .filter(([key]) => key !== 'error')
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  const error = context.error ? `\n${context.error.stack || context.error.message || context.error}` : '';
+  return `${time} ${level.toUpperCase()} ${message}${fields.length > 0 ? ` (${fields.join(' ')})` : ''}${error}`;
+}
+
+function createLogger({
+  file = process.env.LOG_FILE || './logs/bot-log.jsonl',
+  level = process.env.LOG_LEVEL || 'info',
+  maxBytes = Number(process.env.LOG_MAX_BYTES) || 5 * 1024 * 1024,
+  maxFiles = Number(process.env.LOG_MAX_FILES) || 5,
+  console: output = console
+} = {}) {
+  const minLevel = LEVELS[level] || LEVELS.info;
+  let stream = null;
+  let size = 0;
+
+  function open() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Opening the descriptor up front makes the file exist right away, so a
+      // rotation can rename it even before the stream has flushed anything
+      const fd = fs.openSync(file, 'a');
+      size = fs.fstatSync(fd).size;
+      stream = fs.createWriteStream(null, { fd });
+      stream.on('error', error => {
+        output.error(`Failed to write to log file ${file}: ${error.message}`);
+        stream = null;
+      });
+    } catch (error) {
+      output.error(`Failed to open log file ${file}: ${error.message}`);
+      stream = null;
+    }
+  }
+
+  // bot-log.jsonl -> .1 -> .2 ...; the oldest beyond maxFiles is deleted.
+  // Writes still buffered in the old stream land in the renamed file.
+  function rotate() {
+    if (stream) stream.end();
+    try {
+      const oldest = `${file}.${maxFiles}`;
+      if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+      for (let index = maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${file}.${index}`)) fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+      if (fs.existsSync(file)) fs.renameSync(file, `${file}.1`);
+    } catch (error) {
+      output.error(`Failed to rotate log file ${file}: ${error.message}`);
+    }
+    open();
+  }
+
+  function write(entryLevel, message, context) {
+    if (LEVELS[entryLevel] < minLevel) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      message: String(message),
+      ...serializeContext(context)
+    };
+    const line = JSON.stringify(entry) + '\n';
+
+    if (!stream) open();
+    if (stream) {
+      if (size > 0 && size + Buffer.byteLength(line) > maxBytes) rotate();
+      if (stream) {
+        stream.write(line);
+        size += Buffer.byteLength(line);
+      }
+    }
+
+    const consoleLine = formatConsoleLine(entry);
+    if (LEVELS[entryLevel] >= LEVELS.warn) {
+      output.error(consoleLine);
+    } else {
+      output.log(consoleLine);
+    }
+  }
+
+  // Logger that adds the given fields (job, platform, guildId, ...) to every entry
+  function child(bound) {
+    const log = (entryLevel, message, context = {}) => write(entryLevel, message, { ...bound, ...context });
+    return {
+      debug: (message, context) => log('debug', message, context),
+      info: (message, context) => log('info', message, context),
+      warn: (message, context) => log('warn', message, context),
+      error: (message, context) => log('error', message, context),
+      child: more => child({ ...bound, ...more })
+    };
+  }
+
+  // Latest entries at or above `level` from the current and previous log file
+  async function readRecent({ level: filterLevel = 'warn', limit = 20 } = {}) {
+    const threshold = LEVELS[filterLevel] || LEVELS.warn;
+    const entries = [];
+
+    for (const candidate of [file, `${file}.1`]) {
+      let content;
+      try {
+        content = await fs.promises.readFile(candidate, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      const matching = content.split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(entry => entry && LEVELS[entry.level] >= threshold);
+      entries.unshift(...matching);
+      if (entries.length >= limit) break;
+    }
+
+    return entries.slice(-limit);
+  }
+
+  // Resolves once buffered lines are flushed
+  function close() {
+    const closing = stream;
+    stream = null;
+    return new Promise(resolve => (closing ? closing.end(resolve) : resolve()));
+  }
+
+  return {
+    ...child({}),
+    readRecent,
+    close
+  };
+}
+
+const isDryRun = process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true';
+const logger = createLogger(isDryRun ? { console: new Console(process.stderr) } : {});
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger
+};
@@ -0,0 +1,82 @@
+// Minimal Prometheus registry: counters, gauges and summaries (sum and count
+// only) rendered in the text exposition format for the /metrics endpoint.
+const PREFIX = 'contest_bot_';
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels, extra = {}) {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createMetrics() {
+  const metrics = new Map();
+  const collectors = [];
+
+  function define(type, name, help) {
+    const metric = { type, name: PREFIX + name, help, series: new Map() };
+    metrics.set(name, metric);
+
+    // Series are keyed by their label set
+    const series = labels => {
+      const key = labelKey(labels);
+      if (!metric.series.has(key)) metric.series.set(key, { labels, value: 0, sum: 0, count: 0 });
+      return metric.series.get(key);
+    };
+
+    return {
+      inc: (labels = {}, amount = 1) => { series(labels).value += amount; },
+      set: (labels = {}, value) => { series(labels).value = value; },
+      observe: (labels = {}, value) => {
+        const entry = series(labels);
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  const counter = (name, help) => define('counter', name, help);
+  const gauge = (name, help) => define('gauge', name, help);
+  const summary = (name, help) => define('summary', name, help);
+
+  // Collectors run on every scrape, for gauges read from live state
+  function onCollect(collector) {
+    collectors.push(collector);
+  }
+
+  function render() {
+    collectors.forEach(collector => collector());
+
+    const lines = [];
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach(({ labels, value, sum, count }) => {
+        if (metric.type === 'summary') {
+          lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        } else {
+          lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    summary,
+    onCollect,
+    render
+  };
+}
+
+module.exports = { createMetrics };
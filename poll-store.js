@@ -0,0 +1,135 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+const { DEFAULT_TIMEZONE } = require('./guild-config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day ("YYYY-MM-DD") of a moment in the given timezone
+function dateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// First day of the period that contains `today`; weeks start on Monday
+function periodStart(period, today) {
+  if (period === 'week') {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    return shiftDay(today, -((weekday + 6) % 7));
+  }
+  if (period === 'month') return `${today.slice(0, 8)}01`;
+  return null;
+}
+
+// Current streak counts back from today, or from yesterday if today has no
+// vote yet, so a streak does not look broken until the day is over
+function computeStreaks(days, today) {
+  const solvedDays = new Set(days.filter(([, count]) => count > 0).map(([day]) => day));
+
+  let current = 0;
+  let cursor = solvedDays.has(today) ? today : shiftDay(today, -1);
+  while (solvedDays.has(cursor)) {
+    current++;
+    cursor = shiftDay(cursor, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  [...solvedDays].sort().forEach(day => {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = day;
+  });
+
+  return { current, best };
+}
+
+// Daily solve-count votes: one entry per guild, day and user, where a later
+// click replaces the earlier one.
+function createPollStore({ file = dataPath('polls.json') } = {}) {
+  const state = loadJson(file, { guilds: {} });
+
+  function guildVotes(guildId) {
+    const key = guildId || 'default';
+    if (!state.guilds[key]) state.guilds[key] = {};
+    return state.guilds[key];
+  }
+
+  function recordVote(guildId, day, user, count) {
+    const votes = guildVotes(guildId);
+    if (!votes[day]) votes[day] = {};
+
+    const previous = votes[day][user.id] || null;
+    votes[day][user.id] = { count, username: user.username, votedAt: new Date().toISOString() };
+    saveJson(file, state);
+    return previous;
+  }
+
+  // [day, count] pairs for one user, oldest first
+  function getUserDays(guildId, userId) {
+    return Object.entries(guildVotes(guildId))
+      .filter(([, votes]) => votes[userId])
+      .map(([day, votes]) => [day, votes[userId].count])
+      .sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  function getUserStats(guildId, userId, today) {
+    const days = getUserDays(guildId, userId);
+    const sumSince = start => days
+      .filter(([day]) => day >= start)
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    const todayEntry = days.find(([day]) => day === today);
+
+    return {
+      total: days.reduce((sum, [, count]) => sum + count, 0),
+      daysVoted: days.length,
+      week: sumSince(periodStart('week', today)),
+      month: sumSince(periodStart('month', today)),
+      today: todayEntry ? todayEntry[1] : 0,
+      streak: computeStreaks(days, today)
+    };
+  }
+
+  // Users ranked by problems solved in the period ('week' | 'month' | 'all')
+  function getLeaderboard(guildId, period, today) {
+    const start = periodStart(period, today);
+    const totals = {};
+
+    Object.entries(guildVotes(guildId))
+      .filter(([day]) => !start || day >= start)
+      .forEach(([, votes]) => {
+        Object.entries(votes).forEach(([userId, vote]) => {
+          if (!totals[userId]) totals[userId] = { userId, username: vote.username, total: 0, days: 0 };
+          totals[userId].total += vote.count;
+          totals[userId].days++;
+          totals[userId].username = vote.username;
+        });
+      });
+
+    return Object.values(totals)
+      .map(entry => ({ ...entry, streak: computeStreaks(getUserDays(guildId, entry.userId), today) }))
+      .sort((a, b) => b.total - a.total || b.streak.current - a.streak.current);
+  }
+
+  return {
+    recordVote,
+    getUserStats,
+    getLeaderboard
+  };
+}
+
+module.exports = {
+  dateKey,
+  shiftDay,
+  periodStart,
+  computeStreaks,
+  createPollStore
+};
@@ -0,0 +1,173 @@
+const { parseOffset } = require('./reminder-offsets');
+const { dateKey } = require('./poll-store');
+const { formatQuote } = require('./quote-store');
+const { DEFAULT_TIMEZONE } = require('./guild-config');
+const {
+  renderContestUpdates,
+  renderContestList,
+  renderContestReminder,
+  renderAnnouncement,
+  renderWeeklySummary
+} = require('./render');
+
+const PREVIEW_TYPES = ['contest-list', 'reminder', 'update', 'announcement', 'weekly-summary'];
+
+// Payloads for /contests preview and `node index.js --dry-run`. They are built
+// from live contests and stores where there is data, and from sample data
+// otherwise. Nothing is sent and nothing is written: quotes are peeked, not drawn.
+//
+// `deps`:
+//   getProviders()         -> enabled providers
+//   getContests(provider)  -> upcoming contests for that provider; must not write
+//                             the contest store (index.js passes peekPlatformContests)
+//   announcementStore, quoteStore, pollStore
+//
+// `options`: platformId, offset ("24h", "10m", "start", ...), announcementId,
+// guildId, mention (default @everyone) and timezone.
+// Resolves to a list of { label, payload }; messages that are split into
+// pages give one entry per page.
+
+function sampleContest(provider) {
+  const startTime = Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+  return {
+    id: 'preview',
+    platform: provider.id,
+    title: `${provider.name} Sample Round`,
+    startTime,
+    endTime: startTime + 2 * 60 * 60,
+    duration: 120,
+    url: null,
+    type: 'other',
+    rated: null
+  };
+}
+
+function sampleLeaderboard() {
+  return [
+    { userId: '100000000000000001', total: 12, streak: { current: 6 } },
+    { userId: '100000000000000002', total: 9, streak: { current: 3 } },
+    { userId: '100000000000000003', total: 4, streak: { current: 0 } }
+  ];
+}
+
+function selectProviders(deps, platformId) {
+  const providers = deps.getProviders();
+  if (!platformId) return providers;
+
+  const selected = providers.filter(provider => provider.id === platformId.toLowerCase());
+  if (selected.length === 0) throw new Error(`Unknown or disabled platform: ${platformId}`);
+  return selected;
+}
+
+// The next real contest of the first platform that has one, else a sample
+async function pickContest(deps, providers) {
+  for (const provider of providers) {
+    const [contest] = await deps.getContests(provider);
+    if (contest) return { provider, contest, sample: false };
+  }
+  return { provider: providers[0], contest: sampleContest(providers[0]), sample: true };
+}
+
+function labelPages(label, pages) {
+  return pages.map((payload, index) => ({
+    label: pages.length > 1 ? `${label} (page ${index + 1}/${pages.length})` : label,
+    payload
+  }));
+}
+
+async function previewContestList(deps, options) {
+  const providers = selectProviders(deps, options.platformId);
+  const lists = await Promise.all(providers.map(provider => deps.getContests(provider)));
+
+  return providers.flatMap((provider, index) => labelPages(`${provider.name} contest list`, renderContestList({
+    platform: provider.name,
+    color: provider.color,
+    contests: lists[index],
+    mention: options.mention,
+    rsvp: true
+  })));
+}
+
+async function previewReminder(deps, options) {
+  const offset = parseOffset(options.offset || '10m');
+  const { provider, contest, sample } = await pickContest(deps, selectProviders(deps, options.platformId));
+
+  return [{
+    label: `${offset.key} reminder for ${contest.title}${sample ? ' (sample contest)' : ''}`,
+    payload: renderContestReminder({ offset, contest, platform: provider.name, mention: options.mention, rsvp: true })
+  }];
+}
+
+// One of each change type, built around the next contest
+async function previewUpdate(deps, options) {
+  const { provider, contest, sample } = await pickContest(deps, selectProviders(deps, options.platformId));
+  const changes = [
+    { type: 'added', contest },
+    { type: 'rescheduled', contest, previous: { ...contest, startTime: contest.startTime - 60 * 60 } },
+    { type: 'removed', contest }
+  ];
+
+  return labelPages(
+    `${provider.name} schedule update${sample ? ' (sample contest)' : ''}`,
+    renderContestUpdates({ platform: provider.name, color: provider.color, changes })
+  );
+}
+
+async function previewAnnouncement(deps, options) {
+  let announcements;
+  if (options.announcementId) {
+    const announcement = deps.announcementStore.find(options.guildId, options.announcementId);
+    if (!announcement) throw new Error(`No announcement with id "${options.announcementId}"`);
+    announcements = [announcement];
+  } else {
+    announcements = deps.announcementStore.list(options.guildId);
+  }
+
+  return announcements.map(announcement => {
+    let quote = '';
+    if (announcement.template.includes('{quote}')) {
+      const next = deps.quoteStore.peekQuote(deps.quoteStore.categoryForDate(new Date(), announcement.timezone));
+      quote = next ? formatQuote(next) : '';
+    }
+
+    return {
+      label: `announcement "${announcement.id}"${announcement.paused ? ' (paused)' : ''}`,
+      payload: renderAnnouncement(announcement, { mention: options.mention, quote })
+    };
+  });
+}
+
+async function previewWeeklySummary(deps, options) {
+  const today = dateKey(new Date(), options.timezone);
+  const leaderboard = options.guildId ? deps.pollStore.getLeaderboard(options.guildId, 'week', today) : [];
+  const sample = leaderboard.length === 0;
+
+  return [{
+    label: `weekly summary${sample ? ' (sample data, no votes this week)' : ''}`,
+    payload: renderWeeklySummary(sample ? sampleLeaderboard() : leaderboard)
+  }];
+}
+
+const builders = {
+  'contest-list': previewContestList,
+  reminder: previewReminder,
+  update: previewUpdate,
+  announcement: previewAnnouncement,
+  'weekly-summary': previewWeeklySummary
+};
+
+async function buildPreviews(type, deps, options = {}) {
+  const builder = builders[type];
+  if (!builder) throw new Error(`Unknown preview type "${type}". Use one of: ${PREVIEW_TYPES.join(', ')}`);
+
+  return builder(deps, {
+    ...options,
+    mention: options.mention || '@everyone',
+    timezone: options.timezone || DEFAULT_TIMEZONE
+  });
+}
+
+module.exports = {
+  PREVIEW_TYPES,
+  buildPreviews
+};
@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { createContest, mapContests } = require('./contest');
+
+// AtCoder has no official API; AtCoder Problems mirrors the contest list
+const API_URL = process.env.ATCODER_API_URL || 'https://kenkoooo.com/atcoder/resources/contests.json';
+
+async function fetchRaw(http = axios) {
+  const response = await http.get(API_URL, { timeout: 10000 });
+  return response.data;
+}
+
+const TYPES = ['abc', 'arc', 'agc', 'ahc'];
+
+// Contest ids start with the series, e.g. abc350 or ahc030
+function contestType(id) {
+  const prefix = String(id).slice(0, 3).toLowerCase();
+  return TYPES.includes(prefix) ? prefix : 'other';
+}
+
+// rate_change is the rated range ("- 1999", "All", ...) or "-" when unrated
+function isRated(rateChange) {
+  if (typeof rateChange !== 'string') return null;
+  return rateChange.trim() !== '-';
+}
+
+function parse(payload) {
+  if (!Array.isArray(payload)) {
+    throw new Error('Invalid response structure from AtCoder API');
+  }
+
+  return mapContests('atcoder', payload, contest => createContest({
+    platform: 'atcoder',
+    id: contest.id,
+    title: contest.title,
+    startTime: contest.start_epoch_second,
+    durationSeconds: contest.duration_second,
+    url: `https://atcoder.jp/contests/${contest.id}`,
+    type: contestType(contest.id),
+    rated: isRated(contest.rate_change)
+  }));
+}
+
+module.exports = {
+  id: 'atcoder',
+  name: 'AtCoder',
+  color: '#222222',
+  types: TYPES,
+  fetchRaw,
+  parse
+};
@@ -0,0 +1,52 @@
+const axios = require('axios');
+const { createContest, classifyTitle, ratedFromTitle, mapContests } = require('./contest');
+
+const API_URL = process.env.CODECHEF_API_URL || 'https://www.codechef.com/api/contests';
+
+// The API lists each division of a round separately; they share the round's type
+const TYPE_RULES = [
+  [/starters/i, 'starters'],
+  [/long/i, 'long'],
+  [/cook-?\s*off/i, 'cookoff'],
+  [/lunch\s*time/i, 'lunchtime']
+];
+
+async function fetchRaw(http = axios) {
+  const response = await http.get(API_URL, { timeout: 10000 });
+  return response.data;
+}
+
+// Prefer the ISO fields; the plain ones carry no timezone and are in IST
+function parseDate(isoValue, plainValue) {
+  if (isoValue) return Math.floor(new Date(isoValue).getTime() / 1000);
+  return Math.floor(new Date(`${plainValue} GMT+0530`).getTime() / 1000);
+}
+
+function parse(payload) {
+  if (!payload || !Array.isArray(payload.future_contests)) {
+    throw new Error('Invalid response structure from CodeChef API');
+  }
+
+  return mapContests('codechef', payload.future_contests, contest => {
+    const type = classifyTitle(contest.contest_name, TYPE_RULES);
+    return createContest({
+      platform: 'codechef',
+      id: contest.contest_code,
+      title: contest.contest_name,
+      startTime: parseDate(contest.contest_start_date_iso, contest.contest_start_date),
+      endTime: parseDate(contest.contest_end_date_iso, contest.contest_end_date),
+      url: `https://www.codechef.com/${contest.contest_code}`,
+      type,
+      rated: ratedFromTitle(contest.contest_name, type !== 'other')
+    });
+  });
+}
+
+module.exports = {
+  id: 'codechef',
+  name: 'CodeChef',
+  color: '#5B4638',
+  types: ['starters', 'long', 'cookoff', 'lunchtime'],
+  fetchRaw,
+  parse
+};
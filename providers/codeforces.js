@@ -0,0 +1,121 @@
+const axios = require('axios');
+const { createContest, classifyTitle, ratedFromTitle, mapContests } = require('./contest');
+
+const API_URL = process.env.CODEFORCES_API_URL || 'https://codeforces.com/api/contest.list';
+// Other API methods live next to contest.list, so a mock server can serve them all
+const API_BASE = API_URL.replace(/\/contest\.list$/, '');
+
+// "Div. 1 + Div. 2" rounds must be matched before the single divisions
+const TYPE_RULES = [
+  [/educational/i, 'educational'],
+  [/global round/i, 'global'],
+  [/div\.?\s*1\s*\+\s*div\.?\s*2/i, 'div1+2'],
+  [/div\.?\s*1/i, 'div1'],
+  [/div\.?\s*2/i, 'div2'],
+  [/div\.?\s*3/i, 'div3'],
+  [/div\.?\s*4/i, 'div4']
+];
+
+async function fetchRaw(http = axios) {
+  const response = await http.get(API_URL, {
+    params: { gym: false },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+// Only contests in the BEFORE phase are upcoming; the list also holds history
+function parse(payload) {
+  if (!payload || payload.status !== 'OK' || !Array.isArray(payload.result)) {
+    throw new Error('Invalid response structure from Codeforces API');
+  }
+
+  const upcoming = payload.result.filter(contest => contest && contest.phase === 'BEFORE');
+  return mapContests('codeforces', upcoming, contest => {
+    const type = classifyTitle(contest.name, TYPE_RULES);
+    return createContest({
+      platform: 'codeforces',
+      id: contest.id,
+      title: contest.name,
+      startTime: contest.startTimeSeconds,
+      durationSeconds: contest.durationSeconds,
+      url: `https://codeforces.com/contest/${contest.id}`,
+      type,
+      rated: ratedFromTitle(contest.name, type !== 'other')
+    });
+  });
+}
+
+// Standings are only final once system testing is over; rating changes follow
+// a few hours later. Unrated contests answer "Rating changes are unavailable".
+async function fetchResultsRaw(contest, handles, http = axios) {
+  const [standings, ratingChanges] = await Promise.all([
+    http.get(`${API_BASE}/contest.standings`, {
+      params: { contestId: contest.id, handles: handles.join(';'), showUnofficial: false },
+      timeout: 10000,
+      validateStatus: status => status < 500
+    }),
+    http.get(`${API_BASE}/contest.ratingChanges`, {
+      params: { contestId: contest.id },
+      timeout: 10000,
+      validateStatus: status => status < 500
+    })
+  ]);
+  return { standings: standings.data, ratingChanges: ratingChanges.data };
+}
+
+function sameHandle(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function parseResults(payload, handles) {
+  const { standings, ratingChanges } = payload || {};
+  if (!standings || standings.status !== 'OK' || !standings.result) {
+    throw new Error(`Codeforces standings unavailable: ${standings && standings.comment ? standings.comment : 'invalid response'}`);
+  }
+
+  const { contest, problems, rows } = standings.result;
+  if (contest.phase !== 'FINISHED') return { standings: null, ratings: null };
+
+  const linked = handle => handles.find(candidate => sameHandle(candidate, handle));
+  const results = rows
+    .filter(row => row.party && row.party.members.length === 1 && linked(row.party.members[0].handle))
+    .map(row => ({
+      handle: linked(row.party.members[0].handle),
+      rank: row.rank,
+      solved: row.problemResults.filter(result => result.points > 0).length,
+      total: problems.length
+    }));
+
+  let ratings = null;
+  if (ratingChanges && ratingChanges.status === 'OK' && ratingChanges.result.length > 0) {
+    ratings = ratingChanges.result
+      .filter(change => linked(change.handle))
+      .map(change => ({ handle: linked(change.handle), oldRating: change.oldRating, newRating: change.newRating }));
+  } else if (ratingChanges && ratingChanges.status === 'FAILED' && /unavailable/i.test(ratingChanges.comment || '')) {
+    ratings = [];
+  }
+
+  return { standings: results, ratings };
+}
+
+// The handle as Codeforces spells it, or null if there is no such user
+async function checkHandle(handle, http = axios) {
+  const response = await http.get(`${API_BASE}/user.info`, {
+    params: { handles: handle },
+    timeout: 10000,
+    validateStatus: status => status < 500
+  });
+  const payload = response.data;
+  return payload && payload.status === 'OK' && payload.result.length > 0 ? payload.result[0].handle : null;
+}
+
+module.exports = {
+  id: 'codeforces',
+  name: 'Codeforces',
+  color: '#1F8ACB',
+  types: ['div1', 'div2', 'div3', 'div4', 'div1+2', 'educational', 'global'],
+  fetchRaw,
+  parse,
+  results: { fetchRaw: fetchResultsRaw, parse: parseResults, checkHandle }
+};
@@ -0,0 +1,96 @@
+const { logger } = require('../logger');
+
+// Normalized contest shape shared by every provider:
+//   startTime, endTime -> Unix timestamps in whole seconds
+//   duration           -> whole minutes, always endTime - startTime
+//   type               -> one of the provider's `types` (weekly, starters, div2, ...) or "other"
+//   rated              -> true / false, or null when the API does not say
+// Providers pass the start plus either an end time or a duration in seconds,
+// so every API's own unit is converted in exactly one place.
+function createContest({ platform, id, title, startTime, endTime, durationSeconds, url, type, rated }) {
+  const start = Math.floor(Number(startTime));
+  const end = endTime !== undefined
+    ? Math.floor(Number(endTime))
+    : start + Math.floor(Number(durationSeconds));
+
+  return {
+    id: id === undefined || id === null ? '' : String(id),
+    platform,
+    title: title || 'Unnamed Contest',
+    startTime: start,
+    endTime: end,
+    duration: Math.round((end - start) / 60),
+    url: url || null,
+    type: type || 'other',
+    rated: typeof rated === 'boolean' ? rated : null
+  };
+}
+
+// First type whose pattern matches the title, else "other".
+// `rules` is a list of [pattern, type] pairs, most specific first.
+function classifyTitle(title, rules) {
+  const match = rules.find(([pattern]) => pattern.test(title || ''));
+  return match ? match[1] : 'other';
+}
+
+// Titles that say "unrated" win over whatever the contest type implies
+function ratedFromTitle(title, ratedByType) {
+  if (/\bunrated\b/i.test(title || '')) return false;
+  return ratedByType ? true : null;
+}
+
+// Contests longer than this are almost certainly a unit mix-up upstream
+const MAX_DURATION_MINUTES = 31 * 24 * 60;
+
+// Returns a list of problems; an empty list means the contest is valid
+function validateContest(contest) {
+  const problems = [];
+  const isTimestamp = value => Number.isInteger(value) && value > 0;
+
+  if (!contest.platform) problems.push('missing platform');
+  if (!contest.id) problems.push('missing id');
+  if (typeof contest.title !== 'string') problems.push('title is not a string');
+  if (!isTimestamp(contest.startTime)) problems.push(`invalid startTime ${contest.startTime}`);
+  if (!isTimestamp(contest.endTime)) problems.push(`invalid endTime ${contest.endTime}`);
+  if (!Number.isInteger(contest.duration) || contest.duration <= 0) {
+    problems.push(`invalid duration ${contest.duration} minutes`);
+  } else if (contest.duration > MAX_DURATION_MINUTES) {
+    problems.push(`duration ${contest.duration} minutes is longer than ${MAX_DURATION_MINUTES}`);
+  }
+  if (contest.url !== null && !/^https?:\/\//.test(contest.url)) problems.push(`invalid url ${contest.url}`);
+  if (typeof contest.type !== 'string' || !contest.type) problems.push('missing type');
+  if (contest.rated !== null && typeof contest.rated !== 'boolean') problems.push(`invalid rated flag ${contest.rated}`);
+
+  return problems;
+}
+
+// Maps raw API entries with `toContest`, dropping (and logging) entries that
+// throw or fail validation so one bad entry does not lose the whole list
+function mapContests(platform, entries, toContest) {
+  const contests = [];
+  entries.forEach((entry, index) => {
+    let problems;
+    let contest;
+    try {
+      contest = toContest(entry);
+      problems = validateContest(contest);
+    } catch (error) {
+      problems = [error.message];
+    }
+
+    if (problems.length > 0) {
+      logger.warn(`Rejected ${platform} contest: ${problems.join('; ')}`, { platform, index, entry });
+      return;
+    }
+    contests.push(contest);
+  });
+  return contests;
+}
+
+module.exports = {
+  createContest,
+  classifyTitle,
+  ratedFromTitle,
+  validateContest,
+  mapContests
+};
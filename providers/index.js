@@ -0,0 +1,61 @@
+// Contest-source provider registry.
+// Each provider exposes { id, name, color, types, fetchRaw(http), parse(payload) }.
+// fetchRaw does the network call and parse turns the raw payload into
+// normalized contests (see ./contest.js), so parse can be run against
+// recorded JSON without touching the network. `types` lists the contest types
+// parse can assign. Entries that fail validation
+// are logged and dropped by parse rather than failing the whole fetch.
+// <PLATFORM>_API_URL (e.g. LEETCODE_API_URL) points a provider at another
+// server, such as a local mock.
+//
+// Providers that can report how linked members did also expose `results`:
+//   fetchRaw(contest, handles, http) -> raw standings / rating data
+//   parse(payload, handles, contest) -> { standings, ratings }, where
+//     standings = [{ handle, rank, solved, total }] and
+//     ratings   = [{ handle, oldRating, newRating }]; either is null while the
+//     platform has not published it yet, and [] once it has but none of the
+//     handles took part
+//   checkHandle(handle, http)        -> the handle as the platform spells it, or null
+const leetcode = require('./leetcode');
+const codechef = require('./codechef');
+const codeforces = require('./codeforces');
+const atcoder = require('./atcoder');
+
+const providers = [leetcode, codechef, codeforces, atcoder];
+
+function getProvider(id) {
+  if (!id) return null;
+  const key = String(id).toLowerCase();
+  return providers.find(provider => provider.id === key) || null;
+}
+
+// CONTEST_PLATFORMS is a comma-separated list of provider ids; all by default
+function getEnabledProviders(setting = process.env.CONTEST_PLATFORMS) {
+  if (!setting) return providers;
+
+  const ids = setting.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+  return providers.filter(provider => ids.includes(provider.id));
+}
+
+async function fetchContests(provider, http) {
+  return provider.parse(await provider.fetchRaw(http));
+}
+
+// Providers that support /link and results announcements
+function getResultProviders() {
+  return getEnabledProviders().filter(provider => provider.results);
+}
+
+async function fetchResults(provider, contest, handles, http) {
+  if (handles.length === 0) return { standings: [], ratings: [] };
+  return provider.results.parse(await provider.results.fetchRaw(contest, handles, http), handles, contest);
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  getEnabledProviders,
+  getResultProviders,
+  fetchContests,
+  fetchResults
+};
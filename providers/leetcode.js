@@ -0,0 +1,175 @@
+const axios = require('axios');
+const { logger } = require('../logger');
+const { createContest, classifyTitle, ratedFromTitle, mapContests } = require('./contest');
+
+const API_URL = process.env.LEETCODE_API_URL || 'https://leetcode.com/graphql';
+
+const TYPE_RULES = [
+  [/^biweekly/i, 'biweekly'],
+  [/^weekly/i, 'weekly']
+];
+
+async function fetchRaw(http = axios) {
+  const response = await http.post(API_URL, {
+    query: `
+      query {
+        allContests {
+          title
+          titleSlug
+          startTime
+          duration
+        }
+      }
+    `
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+// LeetCode reports startTime in seconds and duration in seconds
+function parse(payload) {
+  if (!payload || !payload.data || !Array.isArray(payload.data.allContests)) {
+    throw new Error('Invalid response structure from LeetCode API');
+  }
+
+  return mapContests('leetcode', payload.data.allContests, contest => {
+    const type = classifyTitle(contest.title, TYPE_RULES);
+    return createContest({
+      platform: 'leetcode',
+      id: contest.titleSlug,
+      title: contest.title,
+      startTime: contest.startTime,
+      durationSeconds: contest.duration,
+      url: `https://leetcode.com/contest/${contest.titleSlug}`,
+      type,
+      // Weekly and biweekly contests are always rated
+      rated: ratedFromTitle(contest.title, type !== 'other')
+    });
+  });
+}
+
+const HISTORY_QUERY = `
+  query history($username: String!) {
+    userContestRankingHistory(username: $username) {
+      attended
+      rating
+      ranking
+      problemsSolved
+      totalProblems
+      contest { title startTime }
+    }
+  }
+`;
+
+// Histories fetched at once, and how long a handle whose lookup failed is left
+// alone (doubling per failure) so one broken handle cannot hammer the API
+const HISTORY_CONCURRENCY = 3;
+const HANDLE_BACKOFF_MS = 15 * 60 * 1000;
+const MAX_HANDLE_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// handle -> { failures, retryAt } while the handle's lookups are failing
+const handleBackoff = new Map();
+
+function fetchHistory(handle, http) {
+  return http.post(API_URL, {
+    query: HISTORY_QUERY,
+    variables: { username: handle }
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  }).then(response => response.data);
+}
+
+function recordFailure(handle, error, now) {
+  const failures = (handleBackoff.has(handle) ? handleBackoff.get(handle).failures : 0) + 1;
+  const delay = Math.min(HANDLE_BACKOFF_MS * 2 ** (failures - 1), MAX_HANDLE_BACKOFF_MS);
+  handleBackoff.set(handle, { failures, retryAt: now + delay });
+  logger.warn(`Could not fetch the LeetCode history of ${handle}`, { platform: 'leetcode', handle, failures, error });
+}
+
+// LeetCode has no per-contest standings for a list of users, so each member's
+// contest history is read instead. A contest appears there once ratings are
+// updated, usually a few days after it ends. Handles are fetched a few at a
+// time; a failed one is left out of the payload and backed off, so it cannot
+// hold back everyone else's results. Throws only when every lookup failed.
+async function fetchResultsRaw(contest, handles, http = axios) {
+  const now = Date.now();
+  const due = handles.filter(handle => !handleBackoff.has(handle) || handleBackoff.get(handle).retryAt <= now);
+  const histories = {};
+  const errors = [];
+
+  for (let index = 0; index < due.length; index += HISTORY_CONCURRENCY) {
+    const batch = due.slice(index, index + HISTORY_CONCURRENCY);
+    const outcomes = await Promise.allSettled(batch.map(handle => fetchHistory(handle, http)));
+    outcomes.forEach((outcome, position) => {
+      const handle = batch[position];
+      if (outcome.status === 'fulfilled') {
+        handleBackoff.delete(handle);
+        histories[handle] = outcome.value;
+      } else {
+        recordFailure(handle, outcome.reason, now);
+        errors.push(outcome.reason);
+      }
+    });
+  }
+
+  if (errors.length > 0 && errors.length === due.length) {
+    throw new Error(`LeetCode histories unavailable: ${errors[0].message}`);
+  }
+  return histories;
+}
+
+const INITIAL_RATING = 1500;
+
+function parseResults(payload, handles, contest) {
+  const standings = [];
+  const ratings = [];
+  let published = false;
+
+  handles.forEach(handle => {
+    const data = payload[handle] && payload[handle].data;
+    const history = (data && data.userContestRankingHistory) || [];
+    const index = history.findIndex(entry => entry.contest &&
+      (entry.contest.title === contest.title || entry.contest.startTime === contest.startTime));
+    if (index === -1) return;
+
+    published = true;
+    const entry = history[index];
+    if (!entry.attended) return;
+
+    const previous = history.slice(0, index).reverse().find(earlier => earlier.attended);
+    standings.push({ handle, rank: entry.ranking, solved: entry.problemsSolved, total: entry.totalProblems });
+    ratings.push({
+      handle,
+      oldRating: Math.round(previous ? previous.rating : INITIAL_RATING),
+      newRating: Math.round(entry.rating)
+    });
+  });
+
+  return published ? { standings, ratings } : { standings: null, ratings: null };
+}
+
+// The username as LeetCode spells it, or null if there is no such user
+async function checkHandle(handle, http = axios) {
+  const response = await http.post(API_URL, {
+    query: 'query user($username: String!) { matchedUser(username: $username) { username } }',
+    variables: { username: handle }
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000
+  });
+  const user = response.data && response.data.data && response.data.data.matchedUser;
+  return user ? user.username : null;
+}
+
+module.exports = {
+  id: 'leetcode',
+  name: 'LeetCode',
+  color: '#FFA500',
+  types: ['weekly', 'biweekly'],
+  fetchRaw,
+  parse,
+  results: { fetchRaw: fetchResultsRaw, parse: parseResults, checkHandle }
+};
@@ -0,0 +1,156 @@
+const path = require('path');
+const { dataPath, loadJson, saveJson } = require('./json-store');
+
+const SEED_FILE = path.join(__dirname, 'quotes.default.json');
+const DEFAULT_CATEGORY = 'motivation';
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function formatQuote(quote) {
+  return quote.author ? `${quote.text} - ${quote.author}` : quote.text;
+}
+
+// Quote library with a moderated submission queue.
+//
+// Quotes are drawn from a shuffled "bag" per category, so none repeats until
+// every approved quote in the category has been shown. Draws that pass a
+// `rotation` name (e.g. on-demand /quote) keep separate bags. `themes` maps weekdays
+// to a category, e.g. { monday: 'dsa-tip' }.
+function createQuoteStore({ file = dataPath('quotes.json'), seedFile = SEED_FILE } = {}) {
+  const state = loadJson(file, null) || seedState();
+
+  function seedState() {
+    const seed = loadJson(seedFile, { themes: {}, quotes: [] });
+    return {
+      nextId: seed.quotes.length + 1,
+      themes: seed.themes || {},
+      rotation: {},
+      lastShown: {},
+      quotes: seed.quotes.map((quote, index) => ({
+        id: index + 1,
+        text: quote.text,
+        author: quote.author || null,
+        category: quote.category || DEFAULT_CATEGORY,
+        status: 'approved',
+        submittedBy: null,
+        createdAt: new Date().toISOString()
+      }))
+    };
+  }
+
+  function save() {
+    saveJson(file, state);
+  }
+
+  function approvedIn(category) {
+    return state.quotes.filter(quote => quote.status === 'approved' && (!category || quote.category === category));
+  }
+
+  function getCategories() {
+    return [...new Set(approvedIn(null).map(quote => quote.category))].sort();
+  }
+
+  // Draw the next quote without repeats until the category's bag is empty
+  function nextQuote(category = DEFAULT_CATEGORY, { rotation = null } = {}) {
+    const pool = approvedIn(category);
+    if (pool.length === 0) return null;
+
+    const key = rotation ? `${rotation}:${category || 'all'}` : category || 'all';
+    let bag = (state.rotation[key] || []).filter(id => pool.some(quote => quote.id === id));
+    if (bag.length === 0) {
+      bag = shuffle(pool.map(quote => quote.id));
+      // Avoid showing the last quote of the previous round first
+      if (bag.length > 1 && bag[0] === state.lastShown[key]) bag.push(bag.shift());
+    }
+
+    const id = bag.shift();
+    state.rotation[key] = bag;
+    state.lastShown[key] = id;
+    save();
+    return state.quotes.find(quote => quote.id === id);
+  }
+
+  // The quote nextQuote would draw, without advancing the rotation (for previews)
+  function peekQuote(category = DEFAULT_CATEGORY) {
+    const pool = approvedIn(category);
+    const id = (state.rotation[category || 'all'] || []).find(candidate => pool.some(quote => quote.id === candidate));
+    return pool.find(quote => quote.id === id) || pool[0] || null;
+  }
+
+  function getTheme(weekday) {
+    return state.themes[weekday] || null;
+  }
+
+  function setTheme(weekday, category) {
+    if (category) {
+      state.themes[weekday] = category;
+    } else {
+      delete state.themes[weekday];
+    }
+    save();
+  }
+
+  // Category for a day: its theme if it has one, else the default
+  function categoryForDate(date, timeZone) {
+    const weekday = date.toLocaleDateString('en-US', { timeZone, weekday: 'long' }).toLowerCase();
+    const theme = getTheme(weekday);
+    return theme && approvedIn(theme).length > 0 ? theme : DEFAULT_CATEGORY;
+  }
+
+  function submit({ text, author, category, submittedBy }) {
+    const quote = {
+      id: state.nextId++,
+      text: text.trim(),
+      author: author ? author.trim() : null,
+      category: (category || DEFAULT_CATEGORY).trim().toLowerCase(),
+      status: 'pending',
+      submittedBy,
+      createdAt: new Date().toISOString()
+    };
+    state.quotes.push(quote);
+    save();
+    return quote;
+  }
+
+  function getPending() {
+    return state.quotes.filter(quote => quote.status === 'pending');
+  }
+
+  // Approve or reject a pending quote; returns the quote or null
+  function review(id, approved, reviewedBy) {
+    const quote = state.quotes.find(candidate => candidate.id === id && candidate.status === 'pending');
+    if (!quote) return null;
+
+    quote.status = approved ? 'approved' : 'rejected';
+    quote.reviewedBy = reviewedBy;
+    save();
+    return quote;
+  }
+
+  return {
+    getCategories,
+    nextQuote,
+    peekQuote,
+    getTheme,
+    setTheme,
+    categoryForDate,
+    submit,
+    getPending,
+    review
+  };
+}
+
+module.exports = {
+  DEFAULT_CATEGORY,
+  WEEKDAYS,
+  formatQuote,
+  createQuoteStore
+};
@@ -0,0 +1,32 @@
+// Sync slash command definitions to a guild.
+// Usage: node register-commands.js [guildId]
+// .env is loaded first, since the feature modules read process.env when required
+require('dotenv').config();
+const { REST, Routes } = require('discord.js');
+const { createFeatureHost } = require('./feature-host');
+const { features } = require('./features');
+
+const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
+const CLIENT_ID = process.env.DISCORD_CLIENT_ID;
+const GUILD_ID = process.argv[2] || process.env.GUILD_ID;
+
+async function registerCommands() {
+  if (!DISCORD_TOKEN || !CLIENT_ID || !GUILD_ID) {
+    console.error('Error: DISCORD_TOKEN, DISCORD_CLIENT_ID and GUILD_ID (or a guild id argument) are required');
+    process.exit(1);
+  }
+
+  // Commands of every feature; guilds that turned one off are told so when they use it
+  const body = createFeatureHost({ features }).getCommands().map(command => command.data.toJSON());
+  const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
+
+  try {
+    const result = await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body });
+    console.log(`Registered ${result.length} commands in guild ${GUILD_ID}`);
+  } catch (error) {
+    console.error('Failed to register commands:', error);
+    process.exit(1);
+  }
+}
+
+registerCommands();
@@ -0,0 +1,113 @@
+// Reminder offsets sent for every contest, and the embed template for each.
+//
+// REMINDER_OFFSETS is a comma-separated list such as "24h,1h,10m,start,end":
+// "<n>h" / "<n>m" fire that long before the start, "start" when the contest
+// goes live and "end" when it finishes. REMINDER_OFFSETS_<PLATFORM> (e.g.
+// REMINDER_OFFSETS_ATCODER) overrides the list for a single platform.
+const DEFAULT_OFFSETS = '24h,1h,10m,start,end';
+
+const templates = {
+  '24h': {
+    color: '#0099FF',
+    title: ({ platform }) => `📆 ${platform} Contest Tomorrow!`,
+    content: ({ mention }) => `${mention} 📆 Heads-up: a contest starts in 24 hours!`,
+    body: () => '🗓️ Block the time on your calendar! 📌'
+  },
+  '1h': {
+    color: '#FFA500',
+    title: ({ platform }) => `⏳ 1 Hour Left for ${platform} Contest!`,
+    content: ({ mention }) => `${mention} ⏳ One hour to go!`,
+    body: () => '🧠 Warm up with a quick problem! 💪'
+  },
+  '10m': {
+    color: '#FF0000',
+    title: ({ platform }) => `🚨 10 Minutes Left for ${platform} Contest!`,
+    content: ({ mention }) => `${mention} ⚠️ 10-Minute Countdown Begins!`,
+    body: () => '💥 Gear up and give your best! 🔥'
+  },
+  start: {
+    color: '#00C853',
+    title: ({ platform }) => `🟢 ${platform} Contest is Live!`,
+    content: ({ mention }) => `${mention} 🟢 The contest has started. Good luck! 🍀`,
+    body: () => '🏃 Jump in now!'
+  },
+  end: {
+    color: '#808080',
+    title: ({ platform }) => `🏁 ${platform} Contest Ended`,
+    content: ({ mention }) => `${mention} 🏁 Contest over! Post your solutions and discuss your approaches 💬`,
+    body: () => '📝 Upsolve what you missed! 📈'
+  }
+};
+
+// Used for any custom "<n>h" / "<n>m" offset without a dedicated template
+const beforeStartTemplate = {
+  color: '#FF8C00',
+  title: ({ platform, label }) => `⏰ ${label} Left for ${platform} Contest!`,
+  content: ({ mention, label }) => `${mention} ⏰ ${label} to go!`,
+  body: () => '💥 Get ready! 🔥'
+};
+
+function formatOffsetLabel(minutes) {
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} Hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} Minute${minutes === 1 ? '' : 's'}`;
+}
+
+function parseOffset(token) {
+  const key = token.trim().toLowerCase();
+  if (key === 'start' || key === 'end') {
+    return { key, anchor: key, minutes: 0, label: key };
+  }
+
+  const match = /^(\d+)([hm])$/.exec(key);
+  if (!match) {
+    throw new Error(`Invalid reminder offset: "${token}"`);
+  }
+
+  const minutes = Number(match[1]) * (match[2] === 'h' ? 60 : 1);
+  return { key, anchor: 'start', minutes, label: formatOffsetLabel(minutes) };
+}
+
+function parseOffsetList(setting) {
+  return setting.split(',').filter(token => token.trim()).map(parseOffset);
+}
+
+function getOffsetsForPlatform(platformId, env = process.env) {
+  const override = env[`REMINDER_OFFSETS_${platformId.toUpperCase()}`];
+  return parseOffsetList(override || env.REMINDER_OFFSETS || DEFAULT_OFFSETS);
+}
+
+// Fire time in ms; returns null when the contest has no time for the anchor
+function getFireTime(offset, contest) {
+  if (offset.anchor === 'end') {
+    return contest.endTime ? contest.endTime * 1000 : null;
+  }
+  return (contest.startTime - offset.minutes * 60) * 1000;
+}
+
+// After this the reminder is stale and a missed job should not be caught up
+function getExpiryTime(offset, contest) {
+  if (offset.anchor === 'end') {
+    return (contest.endTime + 3600) * 1000;
+  }
+  if (offset.key === 'start') {
+    return (contest.endTime || contest.startTime + 3600) * 1000;
+  }
+  return contest.startTime * 1000;
+}
+
+function getTemplate(offsetKey) {
+  return templates[offsetKey] || beforeStartTemplate;
+}
+
+module.exports = {
+  DEFAULT_OFFSETS,
+  parseOffset,
+  parseOffsetList,
+  getOffsetsForPlatform,
+  getFireTime,
+  getExpiryTime,
+  getTemplate
+};
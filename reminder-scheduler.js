@@ -0,0 +1,195 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+const { logger } = require('./logger');
+
+// setTimeout cannot wait longer than this; later jobs are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+const SENT_RETENTION = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle)
+};
+
+// Durable reminder queue. Every job is persisted with its fire time and status
+// ('pending' | 'sent' | 'skipped' | 'failed'), so timers can be re-armed after
+// a restart and a job is never sent twice. `send(job)` may resolve to false
+// when it did not deliver and never started to (e.g. during shutdown); the job
+// then stays pending for the next start.
+//
+// Jobs missed while the bot was down are handled by `missedPolicy`:
+// 'catch-up' sends them late as long as `expiresAt` has not passed,
+// 'skip' drops them.
+function createReminderScheduler({
+  send,
+  file = dataPath('reminders.json'),
+  clock = systemClock,
+  missedPolicy = process.env.MISSED_REMINDER_POLICY || 'catch-up'
+}) {
+  const state = loadJson(file, { jobs: {} });
+  const timers = new Map();
+  let running = false;
+
+  function save() {
+    saveJson(file, state);
+  }
+
+  function disarm(id) {
+    if (timers.has(id)) {
+      clock.clearTimeout(timers.get(id));
+      timers.delete(id);
+    }
+  }
+
+  function arm(job) {
+    disarm(job.id);
+    const delay = Math.min(Math.max(job.fireAt - clock.now(), 0), MAX_TIMER_DELAY);
+    timers.set(job.id, clock.setTimeout(() => {
+      timers.delete(job.id);
+      if (job.fireAt > clock.now()) {
+        arm(job);
+      } else {
+        fire(job.id);
+      }
+    }, delay));
+  }
+
+  async function fire(id) {
+    const job = state.jobs[id];
+    if (!job || job.status !== 'pending') return false;
+
+    // Mark as sent before sending: a crash mid-send must not cause a repeat ping
+    job.status = 'sent';
+    job.sentAt = new Date(clock.now()).toISOString();
+    save();
+
+    try {
+      if (await send(job) === false) {
+        job.status = 'pending';
+        delete job.sentAt;
+        save();
+        logger.info(`Reminder ${id} was not sent; keeping it pending`, { job: id });
+        return false;
+      }
+      return true;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      save();
+      logger.error(`Reminder ${id} failed`, { job: id, error });
+      return false;
+    }
+  }
+
+  function handleMissed(job) {
+    const now = clock.now();
+    if (missedPolicy === 'catch-up' && (!job.expiresAt || job.expiresAt > now)) {
+      logger.info('Catching up missed reminder', { job: job.id });
+      fire(job.id);
+    } else {
+      logger.warn('Skipping missed reminder', { job: job.id });
+      job.status = 'skipped';
+      save();
+    }
+  }
+
+  // Add a job, or move an existing pending one if its fire time changed.
+  // Any extra fields (contest, offset, ...) are stored on the job for `send`.
+  // Returns false when the job already exists unchanged or has already fired.
+  function schedule({ id, fireAt, expiresAt = null, ...data }) {
+    const existing = state.jobs[id];
+    if (existing && (existing.status !== 'pending' || existing.fireAt === fireAt)) {
+      return false;
+    }
+    if (fireAt <= clock.now()) {
+      // The contest moved so early that this reminder's moment has passed;
+      // the old timer must not fire at the stale time
+      if (existing) {
+        disarm(id);
+        existing.status = 'skipped';
+        save();
+        logger.info('Skipping reminder moved into the past', { job: id });
+      }
+      return false;
+    }
+
+    const job = { ...data, id, fireAt, expiresAt, status: 'pending', createdAt: new Date(clock.now()).toISOString() };
+    state.jobs[id] = job;
+    save();
+
+    if (running) arm(job);
+    return true;
+  }
+
+  function cancel(id) {
+    const job = state.jobs[id];
+    if (!job || job.status !== 'pending') return false;
+
+    disarm(id);
+    delete state.jobs[id];
+    save();
+    return true;
+  }
+
+  function cancelWhere(predicate) {
+    return Object.values(state.jobs)
+      .filter(job => job.status === 'pending' && predicate(job))
+      .map(job => cancel(job.id))
+      .filter(Boolean).length;
+  }
+
+  function prune() {
+    const cutoff = clock.now() - SENT_RETENTION;
+    Object.values(state.jobs).forEach(job => {
+      if (job.status !== 'pending' && job.fireAt < cutoff) delete state.jobs[job.id];
+    });
+  }
+
+  // Re-arm persisted jobs; call once the Discord client is ready
+  function start() {
+    running = true;
+    prune();
+    save();
+
+    const now = clock.now();
+    let armed = 0;
+    Object.values(state.jobs).forEach(job => {
+      if (job.status !== 'pending') return;
+      if (job.fireAt <= now) {
+        handleMissed(job);
+      } else {
+        arm(job);
+        armed++;
+      }
+    });
+
+    logger.info(`Reminder scheduler started with ${armed} pending reminders`, { missedPolicy });
+    return armed;
+  }
+
+  // Disarm every timer; pending jobs stay on disk and are re-armed by start()
+  function stop() {
+    running = false;
+    timers.forEach(handle => clock.clearTimeout(handle));
+    timers.clear();
+    save();
+  }
+
+  function getPending() {
+    return Object.values(state.jobs)
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => a.fireAt - b.fireAt);
+  }
+
+  return {
+    schedule,
+    cancel,
+    cancelWhere,
+    start,
+    stop,
+    fire,
+    getPending
+  };
+}
+
+module.exports = { createReminderScheduler };
@@ -0,0 +1,319 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { calendarLinks } = require('./calendar');
+const { getTemplate } = require('./reminder-offsets');
+const { discordTimeWithCountdown, formatContestTime, formatDuration } = require('./time-format');
+
+// Message payloads for everything the bot posts. Nothing here sends messages
+// or reads the stores, so the same payload can be posted, previewed with
+// /contests preview or printed by `node index.js --dry-run`.
+const FOOTER = { text: 'Contest Reminder Bot' };
+const DEFAULT_COLOR = '#0099FF';
+
+// RSVP buttons under contest messages: rsvp:<status>:<platform>:<contest id>
+const RSVP_OPTIONS = {
+  going: { label: 'Going', emoji: '✅', style: ButtonStyle.Success },
+  maybe: { label: 'Maybe', emoji: '🤔', style: ButtonStyle.Secondary },
+  no: { label: 'Not this time', emoji: '❌', style: ButtonStyle.Secondary }
+};
+// A message holds at most 5 rows, so contest list pages with RSVP buttons
+// hold 5 contests each
+const MAX_RSVP_ROWS = 5;
+
+// Discord rejects embeds over these limits
+const MAX_FIELDS = 25;
+const MAX_EMBED_LENGTH = 6000;
+const MAX_FIELD_NAME = 256;
+const MAX_FIELD_VALUE = 1024;
+
+// Good-night poll buttons and the solve count each one records
+const POLL_OPTIONS = {
+  'poll_1': { label: '1 Question', count: 1 },
+  'poll_2': { label: '2 Questions', count: 2 },
+  'poll_3': { label: '3 Questions', count: 3 },
+  'poll_4': { label: '4+ Questions', count: 4 }
+};
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Split embed fields into pages that each fit in one embed. `reserved` is the
+// length of everything else on the embed (title, description, footer).
+// Always returns at least one page.
+function paginateFields(fields, reserved = 0, maxFields = MAX_FIELDS) {
+  const pages = [[]];
+  let length = reserved;
+
+  fields.forEach(field => {
+    const fitted = {
+      name: truncate(field.name, MAX_FIELD_NAME),
+      value: truncate(field.value, MAX_FIELD_VALUE)
+    };
+    const size = fitted.name.length + fitted.value.length;
+    const page = pages[pages.length - 1];
+
+    if (page.length > 0 && (page.length >= maxFields || length + size > MAX_EMBED_LENGTH)) {
+      pages.push([fitted]);
+      length = reserved + size;
+    } else {
+      page.push(fitted);
+      length += size;
+    }
+  });
+
+  return pages;
+}
+
+function pageFooter(index, total) {
+  return total > 1 ? { text: `${FOOTER.text} · Page ${index + 1}/${total}` } : FOOTER;
+}
+
+// Room kept for the title and a "Page i/n" footer when paginating
+function reservedLength(title) {
+  return title.length + FOOTER.text.length + 20;
+}
+
+// One embed per page, all with the same title
+function buildPages({ title, color, fields, maxFields }) {
+  const pages = paginateFields(fields, reservedLength(title), maxFields);
+  return pages.map((page, index) => new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .addFields(page)
+    .setTimestamp()
+    .setFooter(pageFooter(index, pages.length)));
+}
+
+// With `withTitle`, the row starts with a disabled button naming the contest,
+// for messages that list several contests
+function buildRsvpRow(contest, { withTitle = false } = {}) {
+  const row = new ActionRowBuilder();
+  if (withTitle) {
+    row.addComponents(new ButtonBuilder()
+      .setCustomId(`rsvp_title:${contest.platform}:${contest.id}`)
+      .setLabel(truncate(contest.title, 80))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true));
+  }
+  return row.addComponents(Object.entries(RSVP_OPTIONS).map(([status, option]) => new ButtonBuilder()
+    .setCustomId(`rsvp:${status}:${contest.platform}:${contest.id}`)
+    .setLabel(option.label)
+    .setEmoji(option.emoji)
+    .setStyle(option.style)));
+}
+
+function updateField({ type, contest, previous }, platform) {
+  if (type === 'added') {
+    return {
+      name: `🆕 New contest announced: ${contest.title}`,
+      value: `📅 **Date & Time:** ${discordTimeWithCountdown(contest.startTime)}\n` +
+        (contest.url ? `🔗 [Details](${contest.url})` : '')
+    };
+  }
+  if (type === 'rescheduled') {
+    return {
+      name: `🔁 Rescheduled: ${contest.title}`,
+      value: `📅 **Start time moved** from ${discordTimeWithCountdown(previous.startTime)} to ${discordTimeWithCountdown(contest.startTime)}\n` +
+        (contest.url ? `🔗 [Details](${contest.url})` : '')
+    };
+  }
+  if (type === 'removed') {
+    return {
+      name: `❌ Removed: ${contest.title}`,
+      value: `Was scheduled for ${discordTimeWithCountdown(contest.startTime)}. It is no longer listed by ${platform}.`
+    };
+  }
+  return null;
+}
+
+// Schedule changes detected by the contest store (added, rescheduled, removed).
+// Returns one payload per page; long batches are split to fit Discord's limits.
+function renderContestUpdates({ platform, color = DEFAULT_COLOR, changes }) {
+  const fields = changes.map(change => updateField(change, platform)).filter(Boolean);
+  return buildPages({ title: `📢 ${platform} Contest Updates`, color, fields })
+    .map(embed => ({ embeds: [embed] }));
+}
+
+// Weekly list of a platform's upcoming contests; contests without a title or
+// start time are left out. Returns one payload per page, and only the first
+// page carries the mention. With `rsvp`, every contest gets a row of RSVP
+// buttons, so pages are capped at one contest per row Discord allows.
+function renderContestList({ platform, color = DEFAULT_COLOR, contests, mention, rsvp = false }) {
+  if (contests.length === 0) {
+    return [{ content: `📭 No upcoming ${platform} contests found. Keep practicing! 🚀` }];
+  }
+
+  const listed = contests.filter(contest => contest.title && contest.startTime);
+  const fields = listed.map(contest => ({
+    name: `🔥 ${contest.title}`,
+    value:
+      `📅 **Date & Time:** ${discordTimeWithCountdown(contest.startTime)}\n` +
+      `⏳ **Duration:** ${formatDuration(contest.duration)}\n` +
+      (contest.url ? `🔗 [Join Now](${contest.url})\n` : '') +
+      calendarLinks(contest, platform)
+  }));
+
+  let offset = 0;
+  return buildPages({ title: `🎉 Upcoming ${platform} Contests 🎉`, color, fields, maxFields: rsvp ? MAX_RSVP_ROWS : undefined })
+    .map((embed, index) => {
+      const pageContests = listed.slice(offset, offset + embed.data.fields.length);
+      offset += pageContests.length;
+
+      const payload = index === 0
+        ? { content: `${mention} 💥 Here's your **${platform} Contest Reminder**! Stay sharp and good luck! 🍀`, embeds: [embed] }
+        : { embeds: [embed] };
+      if (rsvp) {
+        payload.components = pageContests.map(contest => buildRsvpRow(contest, { withTitle: true }));
+      }
+      return payload;
+    });
+}
+
+function formatRatingChange({ oldRating, newRating }) {
+  const delta = newRating - oldRating;
+  return `${delta >= 0 ? '📈' : '📉'} ${oldRating} → **${newRating}** (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+function resultField(row, withRank) {
+  const parts = [`<@${row.userId}>`];
+  if (withRank && row.solved !== undefined) parts.push(`✅ ${row.solved}/${row.total} solved`);
+  if (row.newRating !== undefined) parts.push(formatRatingChange(row));
+  return {
+    name: withRank ? `#${row.rank} · ${row.handle}` : row.handle,
+    value: parts.join(' · ')
+  };
+}
+
+// How linked members did in a finished contest. `rows` are
+// { userId, handle, rank, solved, total } with oldRating / newRating once the
+// platform has published them. With `ratingsOnly`, the follow-up posted when
+// rating changes arrive after the standings. Returns one payload per page.
+function renderContestResults({ platform, color = DEFAULT_COLOR, contest, rows, ratingsOnly = false }) {
+  const sorted = ratingsOnly
+    ? [...rows].sort((a, b) => (b.newRating - b.oldRating) - (a.newRating - a.oldRating))
+    : [...rows].sort((a, b) => a.rank - b.rank);
+  const title = ratingsOnly ? `📈 ${contest.title}: Rating Changes` : `🏁 ${contest.title}: Results`;
+  const content = ratingsOnly
+    ? `📈 ${platform} rating changes for **${contest.title}** are out!`
+    : `🏁 **${contest.title}** is over! ${rows.length} member${rows.length === 1 ? '' : 's'} took part.`;
+
+  return buildPages({ title: truncate(title, 256), color, fields: sorted.map(row => resultField(row, !ratingsOnly)) })
+    .map((embed, index) => (index === 0 ? { content, embeds: [embed] } : { embeds: [embed] }));
+}
+
+// One reminder offset (24h, 10m, start, end, ...) for one contest.
+// `timezone` is only used for the plain-text preview line in DMs, since
+// notification previews show raw timestamp markup. With `rsvp`, reminders sent
+// before the start get RSVP buttons.
+function renderContestReminder({ offset, contest, platform, mention, timezone = null, rsvp = false }) {
+  const template = getTemplate(offset.key);
+  const context = { platform, contest, label: offset.label, mention };
+
+  const reminderEmbed = new EmbedBuilder()
+    .setTitle(template.title(context))
+    .setColor(template.color)
+    .addFields({
+      name: contest.title,
+      value: (offset.anchor === 'end'
+        ? `🏁 Ended at: ${discordTimeWithCountdown(contest.endTime)}\n`
+        : `🎯 Starts at: ${discordTimeWithCountdown(contest.startTime)}\n`) +
+        (contest.url ? `🔗 [${offset.anchor === 'end' ? 'Contest Page' : 'Join Now'}](${contest.url})\n` : '') +
+        (offset.anchor === 'end' ? '' : `${calendarLinks(contest, platform)}\n`) +
+        template.body(context)
+    });
+
+  const preview = timezone
+    ? `\n${contest.title}: ${formatContestTime(offset.anchor === 'end' ? contest.endTime : contest.startTime, timezone)}`
+    : '';
+  const payload = { content: (template.content(context) + preview).trim(), embeds: [reminderEmbed] };
+  if (rsvp && offset.anchor === 'start' && offset.minutes > 0) payload.components = [buildRsvpRow(contest)];
+  return payload;
+}
+
+function formatDate(date, timeZone) {
+  return date.toLocaleDateString('en-IN', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+function buildSolvePollRow() {
+  return new ActionRowBuilder()
+    .addComponents(
+      Object.entries(POLL_OPTIONS).map(([customId, option]) => new ButtonBuilder()
+        .setCustomId(customId)
+        .setLabel(option.label)
+        .setStyle(ButtonStyle.Primary))
+    );
+}
+
+// Fill {mention}, {date}, {cohort} and {quote} in an announcement template
+// and attach its buttons
+function renderAnnouncement(announcement, { mention, quote = '', date = new Date() }) {
+  const values = {
+    mention,
+    date: formatDate(date, announcement.timezone),
+    cohort: announcement.cohort || '',
+    quote
+  };
+
+  return {
+    content: announcement.template
+      .replace(/\\n/g, '\n')
+      .replace(/\{(mention|date|cohort|quote)\}/g, (match, key) => values[key]),
+    components: announcement.buttons === 'solve-poll' ? [buildSolvePollRow()] : []
+  };
+}
+
+// Leaderboard entries come from pollStore.getLeaderboard and must not be empty
+function renderWeeklySummary(leaderboard) {
+  const total = leaderboard.reduce((sum, entry) => sum + entry.total, 0);
+  const topSolvers = leaderboard.slice(0, 5)
+    .map((entry, index) => `${index + 1}. <@${entry.userId}> — **${entry.total}** solved`)
+    .join('\n');
+  const topStreaks = [...leaderboard]
+    .filter(entry => entry.streak.current > 0)
+    .sort((a, b) => b.streak.current - a.streak.current)
+    .slice(0, 5)
+    .map(entry => `🔥 <@${entry.userId}> — ${entry.streak.current} days`)
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setTitle('📊 Weekly Solve Summary')
+    .setColor('#00C853')
+    .setDescription(`This week **${leaderboard.length}** members solved **${total}** problems together! 💪`)
+    .addFields(
+      { name: '🏆 Top Solvers', value: topSolvers },
+      { name: '🔥 Top Streaks', value: topStreaks || 'No active streaks yet' }
+    )
+    .setTimestamp();
+
+  return { embeds: [embed] };
+}
+
+// Plain JSON for a payload, as Discord would receive it
+function toJSON(payload) {
+  const toPlain = item => (item && typeof item.toJSON === 'function' ? item.toJSON() : item);
+  const result = { ...payload };
+  if (payload.embeds) result.embeds = payload.embeds.map(toPlain);
+  if (payload.components) result.components = payload.components.map(toPlain);
+  return result;
+}
+
+module.exports = {
+  POLL_OPTIONS,
+  RSVP_OPTIONS,
+  MAX_FIELDS,
+  paginateFields,
+  pageFooter,
+  renderContestUpdates,
+  renderContestList,
+  renderContestReminder,
+  renderContestResults,
+  renderAnnouncement,
+  renderWeeklySummary,
+  toJSON
+};
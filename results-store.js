@@ -0,0 +1,123 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+
+// Linked platform handles, each member's rating history and the finished
+// contests still waiting for results.
+//   links:   guild id -> user id -> platform id -> handle
+//   ratings: user id -> platform id -> [{ contestId, title, rank, solved, total,
+//            oldRating, newRating, endTime }], oldest first
+//   pending: "platform:id" -> { contest, standingsPosted, ratingsPosted }
+//   participation: "guildId:platform:id" -> { guildId, contest, linked, participated }
+//            (user ids of the guild's linked members, and those in the standings)
+// Links are per guild, since results are posted in the guild the member linked
+// from; rating history belongs to the member.
+function createResultsStore({ file = dataPath('results.json') } = {}) {
+  const state = loadJson(file, { links: {}, ratings: {}, pending: {}, participation: {} });
+  // Files written before participation was tracked
+  state.participation = state.participation || {};
+
+  function save() {
+    saveJson(file, state);
+  }
+
+  function link(guildId, userId, platformId, handle) {
+    state.links[guildId] = state.links[guildId] || {};
+    state.links[guildId][userId] = { ...state.links[guildId][userId], [platformId]: handle };
+    save();
+  }
+
+  // False when there was nothing to unlink
+  function unlink(guildId, userId, platformId) {
+    const links = state.links[guildId] && state.links[guildId][userId];
+    if (!links || !links[platformId]) return false;
+
+    delete links[platformId];
+    if (Object.keys(links).length === 0) delete state.links[guildId][userId];
+    save();
+    return true;
+  }
+
+  function getLinks(guildId, userId) {
+    return { ...(state.links[guildId] && state.links[guildId][userId]) };
+  }
+
+  // [{ guildId, userId, handle }] for everyone who linked this platform
+  function getLinkedMembers(platformId) {
+    return Object.entries(state.links).flatMap(([guildId, users]) => Object.entries(users)
+      .filter(([, links]) => links[platformId])
+      .map(([userId, links]) => ({ guildId, userId, handle: links[platformId] })));
+  }
+
+  // One entry per contest; a later call for the same contest replaces it
+  function recordRating(userId, platformId, entry) {
+    state.ratings[userId] = state.ratings[userId] || {};
+    const history = (state.ratings[userId][platformId] || [])
+      .filter(existing => String(existing.contestId) !== String(entry.contestId));
+    history.push(entry);
+    history.sort((a, b) => a.endTime - b.endTime);
+    state.ratings[userId][platformId] = history;
+    save();
+  }
+
+  function getRatingHistory(userId, platformId) {
+    return [...((state.ratings[userId] && state.ratings[userId][platformId]) || [])];
+  }
+
+  function recordParticipation(guildId, contest, { linked, participated }) {
+    state.participation[`${guildId}:${contest.platform}:${contest.id}`] = { guildId, contest, linked, participated };
+    save();
+  }
+
+  // A guild's participation for contests that started at or after `since` (Unix seconds)
+  function listParticipation(guildId, since = 0) {
+    return Object.values(state.participation)
+      .filter(entry => entry.guildId === guildId && entry.contest.startTime >= since);
+  }
+
+  function keyOf(contest) {
+    return `${contest.platform}:${contest.id}`;
+  }
+
+  // Start waiting for a contest's results; false if it is already waiting
+  function watch(contest) {
+    const key = keyOf(contest);
+    if (state.pending[key]) return false;
+
+    state.pending[key] = { contest, standingsPosted: false, ratingsPosted: false };
+    save();
+    return true;
+  }
+
+  function getPending() {
+    return Object.values(state.pending);
+  }
+
+  function updatePending(contest, patch) {
+    const key = keyOf(contest);
+    if (!state.pending[key]) return;
+
+    state.pending[key] = { ...state.pending[key], ...patch };
+    save();
+  }
+
+  function removePending(contest) {
+    delete state.pending[keyOf(contest)];
+    save();
+  }
+
+  return {
+    link,
+    unlink,
+    getLinks,
+    getLinkedMembers,
+    recordRating,
+    getRatingHistory,
+    recordParticipation,
+    listParticipation,
+    watch,
+    getPending,
+    updatePending,
+    removePending
+  };
+}
+
+module.exports = { createResultsStore };
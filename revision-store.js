@@ -0,0 +1,74 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+
+// Revision reminders that were posted, and who acknowledged each one with ✅.
+// A reminder is tallied once at the end of its day; the tally keeps the
+// cohort roster as it was then, so later role changes do not rewrite history.
+function createRevisionStore({ file = dataPath('revision.json') } = {}) {
+  const state = loadJson(file, { reminders: {} });
+
+  function addReminder({ guildId, channelId, messageId, cohort, day }) {
+    state.reminders[messageId] = {
+      guildId,
+      channelId,
+      messageId,
+      cohort,
+      day,
+      tally: null
+    };
+    saveJson(file, state);
+  }
+
+  function getUntallied(upToDay) {
+    return Object.values(state.reminders)
+      .filter(reminder => !reminder.tally && reminder.day <= upToDay);
+  }
+
+  function saveTally(messageId, { acknowledged, missing }) {
+    const reminder = state.reminders[messageId];
+    if (!reminder) return;
+
+    reminder.tally = { acknowledged, missing, talliedAt: new Date().toISOString() };
+    saveJson(file, state);
+  }
+
+  function listCohorts(guildId) {
+    return [...new Set(Object.values(state.reminders)
+      .filter(reminder => reminder.guildId === guildId)
+      .map(reminder => reminder.cohort))];
+  }
+
+  // Per-member acknowledgement counts over tallied reminders since `sinceDay`
+  function getReport(guildId, { cohort = null, sinceDay = null } = {}) {
+    const reminders = Object.values(state.reminders)
+      .filter(reminder => reminder.guildId === guildId && reminder.tally)
+      .filter(reminder => !cohort || reminder.cohort === cohort)
+      .filter(reminder => !sinceDay || reminder.day >= sinceDay);
+
+    const members = {};
+    reminders.forEach(reminder => {
+      const record = (userId, acknowledged) => {
+        if (!members[userId]) members[userId] = { userId, acknowledged: 0, total: 0 };
+        members[userId].total++;
+        if (acknowledged) members[userId].acknowledged++;
+      };
+      reminder.tally.acknowledged.forEach(userId => record(userId, true));
+      reminder.tally.missing.forEach(userId => record(userId, false));
+    });
+
+    return {
+      reminders: reminders.length,
+      members: Object.values(members)
+        .sort((a, b) => a.acknowledged / a.total - b.acknowledged / b.total)
+    };
+  }
+
+  return {
+    addReminder,
+    getUntallied,
+    saveTally,
+    listCohorts,
+    getReport
+  };
+}
+
+module.exports = { createRevisionStore };
@@ -0,0 +1,59 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+
+const RSVP_STATUSES = ['going', 'maybe', 'no'];
+
+// RSVPs from the Going / Maybe / Not this time buttons under contest messages,
+// one record per guild and contest:
+//   "guildId:platform:id" -> { guildId, contest, responses: { userId -> { status, at } } }
+// Records are kept after the contest, so the attendance report can compare
+// who said they would come with who took part (see results-store.js).
+function createRsvpStore({ file = dataPath('rsvps.json') } = {}) {
+  const state = loadJson(file, { records: {} });
+
+  function keyOf(guildId, platformId, contestId) {
+    return `${guildId}:${platformId}:${contestId}`;
+  }
+
+  // Returns the member's previous status, or null for a first answer
+  function respond(guildId, contest, userId, status) {
+    if (!RSVP_STATUSES.includes(status)) throw new Error(`Unknown RSVP status: ${status}`);
+
+    const key = keyOf(guildId, contest.platform, contest.id);
+    const record = state.records[key] || { guildId, contest, responses: {} };
+    const previous = record.responses[userId] ? record.responses[userId].status : null;
+
+    record.contest = contest;
+    record.responses[userId] = { status, at: new Date().toISOString() };
+    state.records[key] = record;
+    saveJson(file, state);
+    return previous;
+  }
+
+  // User ids by status: { going: [], maybe: [], no: [] }
+  function getResponses(guildId, platformId, contestId) {
+    const record = state.records[keyOf(guildId, platformId, contestId)];
+    const result = Object.fromEntries(RSVP_STATUSES.map(status => [status, []]));
+    if (!record) return result;
+
+    Object.entries(record.responses).forEach(([userId, response]) => result[response.status].push(userId));
+    return result;
+  }
+
+  // A guild's records for contests that started at or after `since` (Unix seconds)
+  function listRecords(guildId, since = 0) {
+    return Object.values(state.records)
+      .filter(record => record.guildId === guildId && record.contest.startTime >= since)
+      .sort((a, b) => a.contest.startTime - b.contest.startTime);
+  }
+
+  return {
+    respond,
+    getResponses,
+    listRecords
+  };
+}
+
+module.exports = {
+  RSVP_STATUSES,
+  createRsvpStore
+};
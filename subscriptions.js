@@ -0,0 +1,109 @@
+const { dataPath, loadJson, saveJson } = require('./json-store');
+const { DEFAULT_TIMEZONE } = require('./guild-config');
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(value.trim());
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Minutes since local midnight in the given timezone
+function minutesInTimezone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+// Quiet hours may wrap past midnight, e.g. 23:00 - 07:00
+function isInQuietHours(quietHours, date) {
+  if (!quietHours) return false;
+
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  const now = minutesInTimezone(date, quietHours.timezone || DEFAULT_TIMEZONE);
+
+  if (start === end) return false;
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+}
+
+// Per-user opt-ins for direct-message reminders, quiet hours and the
+// timezone used for plain-text times in DMs.
+// Channel pings are opt-in through platform roles, which live in Discord.
+function createSubscriptionStore({ file = dataPath('subscriptions.json') } = {}) {
+  const state = loadJson(file, { users: {} });
+
+  function get(userId) {
+    return { dmPlatforms: [], quietHours: null, timezone: null, ...state.users[userId] };
+  }
+
+  function update(userId, patch) {
+    const next = { ...get(userId), ...patch };
+    state.users[userId] = next;
+    saveJson(file, state);
+    return next;
+  }
+
+  function addDmPlatforms(userId, platformIds) {
+    const current = get(userId).dmPlatforms;
+    return update(userId, { dmPlatforms: [...new Set([...current, ...platformIds])] });
+  }
+
+  function removeDmPlatforms(userId, platformIds) {
+    const current = get(userId).dmPlatforms;
+    return update(userId, { dmPlatforms: current.filter(id => !platformIds.includes(id)) });
+  }
+
+  function setQuietHours(userId, quietHours) {
+    return update(userId, { quietHours });
+  }
+
+  function setTimezone(userId, timezone) {
+    return update(userId, { timezone });
+  }
+
+  function getTimezone(userId) {
+    return get(userId).timezone || DEFAULT_TIMEZONE;
+  }
+
+  function hasDmSubscribers(platformId) {
+    return Object.values(state.users).some(user => (user.dmPlatforms || []).includes(platformId));
+  }
+
+  // Users who want a DM for this platform and are not in their quiet hours
+  function getDmRecipients(platformId, date = new Date()) {
+    return Object.entries(state.users)
+      .filter(([, user]) => (user.dmPlatforms || []).includes(platformId))
+      .filter(([, user]) => !isInQuietHours(user.quietHours && {
+        ...user.quietHours,
+        timezone: user.quietHours.timezone || user.timezone
+      }, date))
+      .map(([userId]) => userId);
+  }
+
+  return {
+    get,
+    addDmPlatforms,
+    removeDmPlatforms,
+    setQuietHours,
+    setTimezone,
+    getTimezone,
+    hasDmSubscribers,
+    getDmRecipients
+  };
+}
+
+module.exports = {
+  parseTimeOfDay,
+  isInQuietHours,
+  createSubscriptionStore
+};
@@ -0,0 +1,276 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionFlagsBits } = require('discord.js');
+const contestsCommand = require('../../commands/contests');
+const leetcode = require('../../providers/leetcode');
+const codeforces = require('../../providers/codeforces');
+
+const fixtureContests = {
+  leetcode: leetcode.parse(require('../fixtures/leetcode-contests.json')),
+  codeforces: codeforces.parse(require('../fixtures/codeforces-contests.json'))
+};
+
+function createDeps(overrides = {}) {
+  const providers = [leetcode, codeforces];
+  return {
+    getProviders: () => providers,
+    getProvider: id => providers.find(provider => provider.id === id) || null,
+    getContests: async provider => fixtureContests[provider.id],
+    scheduleReminders: async () => true,
+    getStatus: () => ({
+      lastCheck: '2024-06-09T12:00:00.000Z',
+      pendingReminders: 4,
+      lastSynced: { LeetCode: '2024-06-09T11:55:00.000Z', Codeforces: null },
+      breakers: { LeetCode: 'closed', Codeforces: 'open' }
+    }),
+    discordTimeWithCountdown: time => `<t:${time}:F>`,
+    formatDuration: minutes => `${minutes}m`,
+    guildConfig: { get: () => ({ pingRoleId: 'role-1', timezone: 'UTC' }) },
+    readLogs: async () => [],
+    adminUserIds: ['admin'],
+    buildPreviews: async () => [],
+    announcementStore: { list: () => [] },
+    listFeatures: () => [],
+    ...overrides
+  };
+}
+
+// Records every response and enforces Discord's order: one reply or deferral,
+// then edits and follow-ups
+function createInteraction({ subcommand, options = {}, focused = null, userId = 'member', permissions = [], customId } = {}) {
+  const calls = [];
+  const interaction = {
+    calls,
+    customId,
+    guildId: 'guild-1',
+    user: { id: userId },
+    deferred: false,
+    replied: false,
+    memberPermissions: { has: permission => permissions.includes(permission) },
+    options: {
+      getSubcommandGroup: () => null,
+      getSubcommand: () => subcommand,
+      getString: name => (name in options ? options[name] : null),
+      getInteger: name => (name in options ? options[name] : null),
+      getFocused: () => focused
+    },
+    async reply(payload) {
+      assert.ok(!interaction.deferred && !interaction.replied, 'already acknowledged');
+      interaction.replied = true;
+      calls.push(['reply', payload]);
+    },
+    async deferReply(payload) {
+      assert.ok(!interaction.deferred && !interaction.replied, 'already acknowledged');
+      interaction.deferred = true;
+      calls.push(['deferReply', payload]);
+    },
+    async editReply(payload) {
+      assert.ok(interaction.deferred || interaction.replied, 'edited before replying');
+      calls.push(['editReply', payload]);
+    },
+    async followUp(payload) {
+      assert.ok(interaction.deferred || interaction.replied, 'followed up before replying');
+      calls.push(['followUp', payload]);
+    },
+    async update(payload) {
+      calls.push(['update', payload]);
+    },
+    async respond(choices) {
+      calls.push(['respond', choices]);
+    }
+  };
+  return interaction;
+}
+
+function embedOf(payload) {
+  return payload.embeds[0].toJSON();
+}
+
+test('upcoming defers, then lists contests from every platform by start time', async () => {
+  const interaction = createInteraction({ subcommand: 'upcoming' });
+  await contestsCommand.execute(interaction, createDeps());
+
+  assert.deepEqual(interaction.calls.map(([method]) => method), ['deferReply', 'editReply']);
+  assert.deepEqual(interaction.calls[0][1], { ephemeral: true });
+  const embed = embedOf(interaction.calls[1][1]);
+  assert.equal(embed.title, '🎉 Upcoming Contests (next 7 days)');
+  assert.deepEqual(embed.fields.map(field => field.name), [
+    'LeetCode · Weekly Contest 400',
+    'Codeforces · Educational Codeforces Round 166 (Rated for Div. 2)',
+    'Codeforces · Codeforces Round 953 (Div. 1 + Div. 2)',
+    'LeetCode · Biweekly Contest 132',
+    'LeetCode · Weekly Contest 401',
+    'Codeforces · Codeforces Global Round 26'
+  ]);
+  assert.equal(embed.fields[0].value, '📅 <t:1717295400:F>\n⏳ 90m\n🔗 [Join Now](https://leetcode.com/contest/weekly-contest-400)');
+  assert.deepEqual(interaction.calls[1][1].components, []);
+});
+
+test('upcoming rejects an unknown platform without deferring', async () => {
+  const interaction = createInteraction({ subcommand: 'upcoming', options: { platform: 'topcoder' } });
+  await contestsCommand.execute(interaction, createDeps());
+
+  assert.deepEqual(interaction.calls, [
+    ['reply', { content: '❓ Unknown or disabled platform: topcoder', ephemeral: true }]
+  ]);
+});
+
+test('upcoming says so when there is nothing in the window', async () => {
+  const interaction = createInteraction({ subcommand: 'upcoming', options: { platform: 'codeforces', days: 3 } });
+  await contestsCommand.execute(interaction, createDeps({ getContests: async () => [] }));
+
+  assert.deepEqual(interaction.calls[1], ['editReply', '📭 No contests in the next 3 days. Keep practicing! 🚀']);
+});
+
+test('upcoming pages long lists and the page buttons turn them', async () => {
+  const many = Array.from({ length: 30 }, (_, index) => ({
+    ...fixtureContests.leetcode[0],
+    id: `weekly-contest-${index}`,
+    title: `Weekly Contest ${index}`,
+    startTime: fixtureContests.leetcode[0].startTime + index * 3600
+  }));
+  const deps = createDeps({ getContests: async provider => (provider.id === 'leetcode' ? many : []) });
+
+  const interaction = createInteraction({ subcommand: 'upcoming' });
+  await contestsCommand.execute(interaction, deps);
+  const first = interaction.calls[1][1];
+  assert.equal(embedOf(first).fields.length, 25);
+  assert.match(embedOf(first).footer.text, /Page 1\/2$/);
+  const [previous, next] = first.components[0].toJSON().components;
+  assert.equal(previous.disabled, true);
+  assert.equal(next.custom_id, 'contests_page:all:7:1');
+
+  const click = createInteraction({ customId: next.custom_id });
+  await contestsCommand.pageButton.handle(click, deps);
+  const [[method, second]] = click.calls;
+  assert.equal(method, 'update');
+  assert.deepEqual(embedOf(second).fields.map(field => field.name), many.slice(25).map(contest => `LeetCode · ${contest.title}`));
+  assert.equal(second.components[0].toJSON().components[1].disabled, true);
+});
+
+test('next shows the earliest contest', async () => {
+  const interaction = createInteraction({ subcommand: 'next' });
+  await contestsCommand.execute(interaction, createDeps());
+
+  const embed = embedOf(interaction.calls[1][1]);
+  assert.equal(embed.title, '⏭️ Next Contest');
+  assert.equal(embed.fields[0].name, 'LeetCode · Weekly Contest 400');
+});
+
+test('status reports sync times and open circuit breakers', async () => {
+  const interaction = createInteraction({ subcommand: 'status' });
+  await contestsCommand.execute(interaction, createDeps());
+
+  const [[method, { content, ephemeral }]] = interaction.calls;
+  assert.equal(method, 'reply');
+  assert.equal(ephemeral, true);
+  assert.match(content, /Pending reminders: 4/);
+  assert.match(content, /• LeetCode: 2024-06-09T11:55:00.000Z\n• Codeforces: never ⚡ circuit open$/);
+});
+
+test('warn needs Manage Server and reports whether scheduling worked', async () => {
+  const denied = createInteraction({ subcommand: 'warn' });
+  await contestsCommand.execute(denied, createDeps());
+  assert.deepEqual(denied.calls, [['reply', { content: '🔒 You need the Manage Server permission to do that.', ephemeral: true }]]);
+
+  const allowed = createInteraction({ subcommand: 'warn', permissions: [PermissionFlagsBits.ManageGuild] });
+  await contestsCommand.execute(allowed, createDeps());
+  assert.deepEqual(allowed.calls.map(([method]) => method), ['deferReply', 'editReply']);
+  assert.equal(allowed.calls[1][1], '⏰ Contest reminders scheduled.');
+
+  const failed = createInteraction({ subcommand: 'warn', permissions: [PermissionFlagsBits.ManageGuild] });
+  await contestsCommand.execute(failed, createDeps({ scheduleReminders: async () => false }));
+  assert.equal(failed.calls[1][1], '⚠️ Scheduling reminders failed, check the logs.');
+});
+
+test('logs are for bot admins only, even with Manage Server', async () => {
+  const interaction = createInteraction({ subcommand: 'logs', permissions: [PermissionFlagsBits.ManageGuild] });
+  await contestsCommand.execute(interaction, createDeps());
+
+  assert.deepEqual(interaction.calls, [['reply', { content: '🔒 Only the bot admin can read the logs.', ephemeral: true }]]);
+});
+
+test('logs show the newest entries at the requested level', async () => {
+  const readLogs = async ({ level, limit }) => {
+    assert.deepEqual({ level, limit }, { level: 'warn', limit: 2 });
+    return [
+      { time: '2024-06-09T11:00:00.000Z', level: 'warn', message: 'Retrying contest fetch', platform: 'leetcode' },
+      { time: '2024-06-09T11:05:00.000Z', level: 'error', message: 'Reminder failed', error: { message: 'Missing Access' } }
+    ];
+  };
+  const interaction = createInteraction({ subcommand: 'logs', userId: 'admin', options: { level: 'warn', n: 2 } });
+  await contestsCommand.execute(interaction, createDeps({ readLogs }));
+
+  assert.deepEqual(interaction.calls.map(([method]) => method), ['deferReply', 'editReply']);
+  assert.equal(interaction.calls[1][1],
+    '🪵 Last 2 warn+ entries:\n```\n' +
+    '06-09 11:00:00 WARN Retrying contest fetch (platform=leetcode)\n' +
+    '06-09 11:05:00 ERROR Reminder failed — Missing Access\n```');
+});
+
+test('logs say so when nothing matches', async () => {
+  const interaction = createInteraction({ subcommand: 'logs', userId: 'admin' });
+  await contestsCommand.execute(interaction, createDeps());
+
+  assert.equal(interaction.calls[1][1], '📭 No error entries in the recent logs.');
+});
+
+test('preview sends each message ephemerally without pinging anyone', async () => {
+  let options;
+  const buildPreviews = async (type, previewOptions) => {
+    options = { type, ...previewOptions };
+    return [
+      { label: 'LeetCode reminder', payload: { content: '<@&role-1> starts soon' } },
+      { label: 'Codeforces reminder', payload: { content: '<@&role-1> starts soon' } }
+    ];
+  };
+  const interaction = createInteraction({ subcommand: 'preview', userId: 'admin', options: { type: 'reminder', offset: '1h' } });
+  await contestsCommand.execute(interaction, createDeps({ buildPreviews }));
+
+  assert.equal(options.type, 'reminder');
+  assert.equal(options.offset, '1h');
+  assert.equal(options.mention, '<@&role-1>');
+  assert.deepEqual(interaction.calls.map(([method]) => method), ['deferReply', 'editReply', 'followUp']);
+  assert.deepEqual(interaction.calls[1][1], {
+    content: '-# 👀 Preview 1/2: LeetCode reminder\n<@&role-1> starts soon',
+    allowedMentions: { parse: [] },
+    ephemeral: true
+  });
+  assert.match(interaction.calls[2][1].content, /^-# 👀 Preview 2\/2: Codeforces reminder/);
+});
+
+test('preview reports errors and empty results in the deferred reply', async () => {
+  const failing = createInteraction({ subcommand: 'preview', userId: 'admin', options: { type: 'announcement' } });
+  await contestsCommand.execute(failing, createDeps({
+    buildPreviews: async () => {
+      throw new Error('Unknown announcement: standup');
+    }
+  }));
+  assert.deepEqual(failing.calls[1], ['editReply', '⚠️ Unknown announcement: standup']);
+
+  const empty = createInteraction({ subcommand: 'preview', userId: 'admin', options: { type: 'announcement' } });
+  await contestsCommand.execute(empty, createDeps());
+  assert.deepEqual(empty.calls[1], ['editReply', '📭 Nothing to preview.']);
+
+  const denied = createInteraction({ subcommand: 'preview', options: { type: 'announcement' } });
+  await contestsCommand.execute(denied, createDeps());
+  assert.deepEqual(denied.calls, [['reply', { content: '🔒 Only the bot admin can preview messages.', ephemeral: true }]]);
+});
+
+test('autocomplete suggests platforms and this server\'s announcements', async () => {
+  const platform = createInteraction({ focused: { name: 'platform', value: 'Forces' } });
+  await contestsCommand.autocomplete(platform, createDeps());
+  assert.deepEqual(platform.calls, [['respond', [{ name: 'Codeforces', value: 'codeforces' }]]]);
+
+  let listedGuild;
+  const announcementStore = {
+    list: guildId => {
+      listedGuild = guildId;
+      return [{ id: 'standup' }, { id: 'retro' }];
+    }
+  };
+  const announcement = createInteraction({ focused: { name: 'announcement', value: 'st' } });
+  await contestsCommand.autocomplete(announcement, createDeps({ announcementStore }));
+  assert.equal(listedGuild, 'guild-1');
+  assert.deepEqual(announcement.calls, [['respond', [{ name: 'standup', value: 'standup' }]]]);
+});
@@ -0,0 +1,165 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const payload = require('./fixtures/codeforces-contests.json');
+
+// A local Codeforces mock; each test sets `respond` to decide what it answers
+let server;
+let requests;
+let respond;
+let codeforces;
+let createContestFetcher;
+let createConditionalHttp;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push(request);
+    respond(request, response);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // Provider URLs are read when the modules load, so point them at the mock first
+  process.env.CODEFORCES_API_URL = `http://127.0.0.1:${server.address().port}/api/contest.list`;
+  codeforces = require('../providers/codeforces');
+  ({ createContestFetcher, createConditionalHttp } = require('../contest-fetcher'));
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+function ok(response, headers = {}) {
+  response.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(payload));
+}
+
+function fail(response) {
+  response.writeHead(503);
+  response.end('Service Unavailable');
+}
+
+// Time stands still unless a test moves it; backoff sleeps are recorded and skipped
+function createFakeClock() {
+  const clock = {
+    time: 0,
+    delays: [],
+    now: () => clock.time,
+    setTimeout: (fn, ms) => {
+      clock.delays.push(ms);
+      setImmediate(fn);
+    }
+  };
+  return clock;
+}
+
+test('retries failed requests with jittered exponential backoff', async () => {
+  let calls = 0;
+  respond = (request, response) => (++calls <= 2 ? fail(response) : ok(response));
+  const clock = createFakeClock();
+  const fetcher = createContestFetcher({ clock, random: () => 0.5, retries: 3, baseDelayMs: 100, maxDelayMs: 150 });
+  const retries = [];
+  fetcher.on('retry', (platformId, delay, attempt) => retries.push({ platformId, delay, attempt }));
+
+  const result = await fetcher.fetch(codeforces);
+
+  assert.equal(requests.length, 3);
+  assert.equal(result.fresh, true);
+  assert.deepEqual(result.contests.map(contest => contest.id), ['1984', '1983', '1981']);
+  // Half of min(maxDelay, base * 2^attempt): 100 -> 50, then 200 capped at 150 -> 75
+  assert.deepEqual(retries, [
+    { platformId: 'codeforces', delay: 50, attempt: 0 },
+    { platformId: 'codeforces', delay: 75, attempt: 1 }
+  ]);
+  assert.deepEqual(clock.delays, [50, 75]);
+});
+
+test('gives up after the configured retries', async () => {
+  respond = (request, response) => fail(response);
+  const fetcher = createContestFetcher({ clock: createFakeClock(), random: () => 0, retries: 2 });
+
+  assert.equal(await fetcher.fetch(codeforces), null);
+  assert.equal(requests.length, 3);
+});
+
+test('opens the circuit breaker, then lets one trial through after the cooldown', async () => {
+  respond = (request, response) => fail(response);
+  const clock = createFakeClock();
+  const fetcher = createContestFetcher({ clock, retries: 0, failureThreshold: 2, cooldownMs: 1000 });
+  const transitions = [];
+  fetcher.on('breaker', (platformId, state) => transitions.push(state));
+
+  await fetcher.fetch(codeforces);
+  assert.deepEqual(fetcher.getBreakerStates(), { codeforces: 'closed' });
+  await fetcher.fetch(codeforces);
+  assert.deepEqual(fetcher.getBreakerStates(), { codeforces: 'open' });
+
+  // Open: fails fast without touching the API
+  assert.equal(await fetcher.fetch(codeforces), null);
+  assert.equal(requests.length, 2);
+
+  // A failed half-open trial re-opens it for another cooldown
+  clock.time += 1000;
+  assert.equal(await fetcher.fetch(codeforces), null);
+  assert.equal(requests.length, 3);
+  assert.deepEqual(fetcher.getBreakerStates(), { codeforces: 'open' });
+
+  clock.time += 1000;
+  respond = (request, response) => ok(response);
+  const result = await fetcher.fetch(codeforces);
+  assert.equal(result.fresh, true);
+  assert.equal(requests.length, 4);
+  assert.deepEqual(transitions, ['open', 'half-open', 'open', 'half-open', 'closed']);
+});
+
+test('shares one request between concurrent callers and caches it for the TTL', async () => {
+  respond = (request, response) => ok(response);
+  const clock = createFakeClock();
+  const fetcher = createContestFetcher({ clock, cacheTtlMs: 1000 });
+
+  const [first, second] = await Promise.all([fetcher.fetch(codeforces), fetcher.fetch(codeforces)]);
+  assert.equal(requests.length, 1);
+  assert.equal(first.fresh, true);
+  assert.equal(second.fresh, false);
+  assert.deepEqual(second.contests, first.contests);
+
+  clock.time += 999;
+  assert.equal((await fetcher.fetch(codeforces)).fresh, false);
+  assert.equal(requests.length, 1);
+
+  clock.time += 1;
+  assert.equal((await fetcher.fetch(codeforces)).fresh, true);
+  assert.equal(requests.length, 2);
+});
+
+test('revalidates with the ETag and reuses the cached body on 304', async () => {
+  respond = (request, response) => {
+    if (request.headers['if-none-match'] === '"v1"') {
+      response.writeHead(304, { ETag: '"v1"' });
+      response.end();
+    } else {
+      ok(response, { ETag: '"v1"' });
+    }
+  };
+  const conditional = createConditionalHttp();
+
+  const first = await conditional.get(process.env.CODEFORCES_API_URL, { params: { gym: false } });
+  const second = await conditional.get(process.env.CODEFORCES_API_URL, { params: { gym: false } });
+
+  assert.equal(requests[0].headers['if-none-match'], undefined);
+  assert.equal(requests[1].headers['if-none-match'], '"v1"');
+  assert.equal(first.notModified, undefined);
+  assert.equal(second.status, 200);
+  assert.equal(second.notModified, true);
+  assert.deepEqual(second.data, first.data);
+
+  // The fetcher parses the reused body like a fresh one once its TTL cache expires
+  const fetcher = createContestFetcher({ http: conditional, clock: createFakeClock(), cacheTtlMs: 0 });
+  const result = await fetcher.fetch(codeforces);
+  assert.equal(requests[2].headers['if-none-match'], '"v1"');
+  assert.deepEqual(result.contests.map(contest => contest.id), ['1984', '1983', '1981']);
+});
@@ -0,0 +1,83 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+const { PREVIEW_TYPES, buildPreviews } = require('../preview');
+const { toJSON } = require('../render');
+const leetcode = require('../providers/leetcode');
+const codeforces = require('../providers/codeforces');
+
+// Rendered previews are compared with test/snapshots/preview.json.
+// Run `UPDATE_SNAPSHOTS=1 npm test` to rewrite it after an intended change.
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'preview.json');
+
+mock.method(logger, 'warn', () => {});
+
+const contests = {
+  leetcode: leetcode.parse(require('./fixtures/leetcode-contests.json')),
+  codeforces: codeforces.parse(require('./fixtures/codeforces-contests.json'))
+};
+
+const deps = {
+  getProviders: () => [leetcode, codeforces],
+  getContests: async provider => contests[provider.id],
+  announcementStore: {
+    list: () => [{
+      id: 'good-morning',
+      cron: '15 9 * * *',
+      timezone: 'Asia/Kolkata',
+      template: '{mention}\n\n**Good Morning Everyone!** ☀️\n\n> {quote}',
+      guildId: null,
+      channelId: null,
+      paused: false
+    }]
+  },
+  quoteStore: {
+    categoryForDate: () => 'motivation',
+    peekQuote: () => ({ text: 'Talk is cheap. Show me the code.', author: 'Linus Torvalds' })
+  },
+  pollStore: {
+    getLeaderboard: () => [
+      { userId: '200000000000000001', total: 15, streak: { current: 7 } },
+      { userId: '200000000000000002', total: 8, streak: { current: 2 } }
+    ]
+  }
+};
+
+const options = { guildId: '300000000000000001', mention: '<@&400000000000000001>', timezone: 'UTC' };
+
+// Embeds carry the time they were built
+function stable(payload) {
+  const json = toJSON(payload);
+  if (json.embeds) json.embeds = json.embeds.map(({ timestamp, ...embed }) => embed);
+  return json;
+}
+
+async function renderAll() {
+  const result = {};
+  for (const type of PREVIEW_TYPES) {
+    const previews = await buildPreviews(type, deps, options);
+    result[type] = previews.map(({ label, payload }) => ({ label, payload: stable(payload) }));
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+test('rendered previews match the snapshot', async () => {
+  const rendered = await renderAll();
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.writeFileSync(SNAPSHOT_FILE, `${JSON.stringify(rendered, null, 2)}\n`);
+  }
+  assert.deepEqual(rendered, JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8')));
+});
+
+test('previews only read contests through getContests', async () => {
+  const getContests = mock.fn(deps.getContests);
+  await buildPreviews('contest-list', { ...deps, getContests }, options);
+  assert.deepEqual(getContests.mock.calls.map(call => call.arguments[0].id), ['leetcode', 'codeforces']);
+});
+
+test('unknown preview types and platforms are rejected', async () => {
+  await assert.rejects(buildPreviews('digest', deps, options), /Unknown preview type "digest"/);
+  await assert.rejects(buildPreviews('reminder', deps, { ...options, platformId: 'topcoder' }), /Unknown or disabled platform: topcoder/);
+});
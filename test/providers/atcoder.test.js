@@ -0,0 +1,40 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const atcoder = require('../../providers/atcoder');
+const { validateContest } = require('../../providers/contest');
+const payload = require('../fixtures/atcoder-contests.json');
+
+test('maps contests with the type taken from the id and rated from rate_change', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const contests = atcoder.parse(payload);
+
+  assert.deepEqual(contests[0], {
+    id: 'abc357',
+    platform: 'atcoder',
+    title: 'Toyota Programming Contest 2024#6（AtCoder Beginner Contest 357）',
+    startTime: 1717848000,
+    endTime: 1717854000,
+    duration: 100,
+    url: 'https://atcoder.jp/contests/abc357',
+    type: 'abc',
+    rated: true
+  });
+  assert.equal(contests[1].type, 'ahc');
+  assert.equal(contests[1].rated, true);
+  contests.forEach(contest => assert.deepEqual(validateContest(contest), []));
+  warn.mock.restore();
+});
+
+test('drops the permanent practice contest, which runs for a century', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+
+  assert.deepEqual(atcoder.parse(payload).map(contest => contest.id), ['abc357', 'ahc034']);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /^Rejected atcoder contest: duration \d+ minutes is longer than/);
+  warn.mock.restore();
+});
+
+test('throws on an unexpected response', () => {
+  assert.throws(() => atcoder.parse({ message: 'Not Found' }), /Invalid response structure/);
+});
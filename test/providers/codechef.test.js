@@ -0,0 +1,54 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const codechef = require('../../providers/codechef');
+const { validateContest } = require('../../providers/contest');
+const payload = require('../fixtures/codechef-contests.json');
+
+test('maps future contests from their ISO start and end dates', () => {
+  const contests = codechef.parse(payload);
+
+  assert.equal(contests.length, 2);
+  assert.deepEqual(contests[0], {
+    id: 'START138',
+    platform: 'codechef',
+    title: 'Starters 138',
+    startTime: 1717597800,
+    endTime: 1717605000,
+    duration: 120,
+    url: 'https://www.codechef.com/START138',
+    type: 'starters',
+    rated: true
+  });
+  assert.equal(contests[1].duration, 9540);
+  assert.equal(contests[1].type, 'other');
+  assert.equal(contests[1].rated, null);
+  contests.forEach(contest => assert.deepEqual(validateContest(contest), []));
+});
+
+test('reads the plain dates as IST when the ISO ones are missing', () => {
+  const legacy = structuredClone(payload);
+  legacy.future_contests.forEach(contest => {
+    delete contest.contest_start_date_iso;
+    delete contest.contest_end_date_iso;
+  });
+
+  assert.deepEqual(
+    codechef.parse(legacy).map(contest => [contest.startTime, contest.endTime]),
+    codechef.parse(payload).map(contest => [contest.startTime, contest.endTime])
+  );
+});
+
+test('drops entries with unparseable dates', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const broken = structuredClone(payload);
+  broken.future_contests[0].contest_start_date_iso = 'TBA';
+
+  assert.deepEqual(codechef.parse(broken).map(contest => contest.id), ['WEEKEND24']);
+  assert.equal(warn.mock.callCount(), 1);
+  warn.mock.restore();
+});
+
+test('throws on an unexpected response', () => {
+  assert.throws(() => codechef.parse({ status: 'error' }), /Invalid response structure/);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const codeforces = require('../../providers/codeforces');
+const standings = require('../fixtures/codeforces-standings.json');
+const ratingChanges = require('../fixtures/codeforces-rating-changes.json');
+
+const handles = ['alice_cf', 'bob_cf'];
+
+test('reports solo standings and rating changes for linked handles', () => {
+  const results = codeforces.results.parse({ standings, ratingChanges }, handles);
+
+  // Handles match case-insensitively and keep the linked spelling; team rows are skipped
+  assert.deepEqual(results.standings, [
+    { handle: 'alice_cf', rank: 412, solved: 4, total: 4 },
+    { handle: 'bob_cf', rank: 3307, solved: 2, total: 4 }
+  ]);
+  assert.deepEqual(results.ratings, [
+    { handle: 'alice_cf', oldRating: 1544, newRating: 1631 },
+    { handle: 'bob_cf', oldRating: 1302, newRating: 1288 }
+  ]);
+});
+
+test('waits for ratings while the rating changes are still empty', () => {
+  const results = codeforces.results.parse({ standings, ratingChanges: { status: 'OK', result: [] } }, handles);
+
+  assert.equal(results.standings.length, 2);
+  assert.equal(results.ratings, null);
+});
+
+test('reports no rating changes for an unrated contest', () => {
+  const unrated = { status: 'FAILED', comment: 'contestId: Rating changes are unavailable for this contest' };
+  assert.deepEqual(codeforces.results.parse({ standings, ratingChanges: unrated }, handles).ratings, []);
+});
+
+test('waits until system testing is over', () => {
+  const testing = structuredClone(standings);
+  testing.result.contest.phase = 'SYSTEM_TEST';
+
+  assert.deepEqual(codeforces.results.parse({ standings: testing, ratingChanges }, handles), { standings: null, ratings: null });
+});
+
+test('throws when the standings are unavailable', () => {
+  const failed = { status: 'FAILED', comment: 'contestId: Contest with id 1980 has not started' };
+  assert.throws(() => codeforces.results.parse({ standings: failed, ratingChanges }, handles), /has not started/);
+});
+
+test('asks for the standings of linked handles only', async () => {
+  const requests = [];
+  const http = {
+    get: async (url, options) => {
+      requests.push({ url, params: options.params });
+      return { data: url.endsWith('/contest.standings') ? standings : ratingChanges };
+    }
+  };
+
+  const payload = await codeforces.results.fetchRaw({ id: '1980' }, handles, http);
+  assert.deepEqual(payload, { standings, ratingChanges });
+  assert.deepEqual(requests.map(request => request.url.replace(/^.*\//, '')), ['contest.standings', 'contest.ratingChanges']);
+  assert.equal(requests[0].params.handles, 'alice_cf;bob_cf');
+});
@@ -0,0 +1,42 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const codeforces = require('../../providers/codeforces');
+const { validateContest } = require('../../providers/contest');
+const payload = require('../fixtures/codeforces-contests.json');
+
+test('maps only contests that have not started yet', () => {
+  const contests = codeforces.parse(payload);
+
+  assert.deepEqual(contests.map(contest => contest.id), ['1984', '1983', '1981']);
+  assert.deepEqual(contests[0], {
+    id: '1984',
+    platform: 'codeforces',
+    title: 'Codeforces Global Round 26',
+    startTime: 1717943700,
+    endTime: 1717954500,
+    duration: 180,
+    url: 'https://codeforces.com/contest/1984',
+    type: 'global',
+    rated: true
+  });
+  contests.forEach(contest => assert.deepEqual(validateContest(contest), []));
+});
+
+test('classifies combined divisions and educational rounds before single divisions', () => {
+  assert.deepEqual(codeforces.parse(payload).map(contest => contest.type), ['global', 'div1+2', 'educational']);
+});
+
+test('drops entries with a missing duration', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const broken = structuredClone(payload);
+  delete broken.result[0].durationSeconds;
+
+  assert.deepEqual(codeforces.parse(broken).map(contest => contest.id), ['1983', '1981']);
+  assert.equal(warn.mock.callCount(), 1);
+  warn.mock.restore();
+});
+
+test('throws when the API reports a failure', () => {
+  assert.throws(() => codeforces.parse({ status: 'FAILED', comment: 'Call limit exceeded' }), /Invalid response structure/);
+});
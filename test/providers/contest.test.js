@@ -0,0 +1,85 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const { createContest, classifyTitle, ratedFromTitle, validateContest, mapContests } = require('../../providers/contest');
+
+const valid = {
+  platform: 'codeforces',
+  id: '1984',
+  title: 'Codeforces Global Round 26',
+  startTime: 1717943700,
+  durationSeconds: 10800,
+  url: 'https://codeforces.com/contest/1984',
+  type: 'global',
+  rated: true
+};
+
+test('createContest derives the end time and duration from a duration in seconds', () => {
+  const contest = createContest(valid);
+  assert.equal(contest.endTime, 1717943700 + 10800);
+  assert.equal(contest.duration, 180);
+  assert.deepEqual(validateContest(contest), []);
+});
+
+test('createContest derives the duration from an end time', () => {
+  const contest = createContest({ ...valid, durationSeconds: undefined, endTime: 1717943700 + 5400 });
+  assert.equal(contest.duration, 90);
+});
+
+test('createContest defaults the type, rated flag, url and title', () => {
+  const contest = createContest({ platform: 'atcoder', id: 'x', startTime: 1717943700, durationSeconds: 60 });
+  assert.equal(contest.type, 'other');
+  assert.equal(contest.rated, null);
+  assert.equal(contest.url, null);
+  assert.equal(contest.title, 'Unnamed Contest');
+});
+
+test('validateContest reports every problem', () => {
+  const problems = validateContest({
+    platform: '',
+    id: '',
+    title: 42,
+    startTime: 'soon',
+    endTime: -1,
+    duration: 0,
+    url: 'ftp://example.com',
+    type: '',
+    rated: 'yes'
+  });
+  assert.deepEqual(problems, [
+    'missing platform',
+    'missing id',
+    'title is not a string',
+    'invalid startTime soon',
+    'invalid endTime -1',
+    'invalid duration 0 minutes',
+    'invalid url ftp://example.com',
+    'missing type',
+    'invalid rated flag yes'
+  ]);
+});
+
+test('validateContest rejects contests ending before they start and implausibly long ones', () => {
+  assert.deepEqual(validateContest(createContest({ ...valid, durationSeconds: -60 })), ['invalid duration -1 minutes']);
+  assert.match(validateContest(createContest({ ...valid, durationSeconds: 60 * 24 * 60 * 60 }))[0], /is longer than/);
+});
+
+test('mapContests drops and logs entries that throw or fail validation', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const contests = mapContests('codeforces', [valid, { ...valid, startTime: null }, null], entry => createContest(entry));
+
+  assert.equal(contests.length, 1);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /^Rejected codeforces contest: invalid startTime/);
+  assert.deepEqual(warn.mock.calls[0].arguments[1], { platform: 'codeforces', index: 1, entry: { ...valid, startTime: null } });
+  warn.mock.restore();
+});
+
+test('classifyTitle and ratedFromTitle', () => {
+  const rules = [[/div\.?\s*2/i, 'div2']];
+  assert.equal(classifyTitle('Codeforces Round 950 (Div. 2)', rules), 'div2');
+  assert.equal(classifyTitle(undefined, rules), 'other');
+  assert.equal(ratedFromTitle('Codeforces Round 950 (Div. 2)', true), true);
+  assert.equal(ratedFromTitle('Codeforces Round 950 (Div. 2, Unrated)', true), false);
+  assert.equal(ratedFromTitle('April Fools Day Contest', false), null);
+});
@@ -0,0 +1,85 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const leetcode = require('../../providers/leetcode');
+const histories = require('../fixtures/leetcode-history.json');
+
+const contest = { id: 'weekly-contest-401', title: 'Weekly Contest 401', startTime: 1717900200 };
+
+// Answers history queries from the fixture; handles named in `failing` reject
+function fakeHttp(failing = []) {
+  const requested = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  return {
+    requested,
+    get maxInFlight() {
+      return maxInFlight;
+    },
+    post: async (url, body) => {
+      const handle = body.variables.username;
+      requested.push(handle);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      if (failing.includes(handle)) throw new Error('Request failed with status code 429');
+      return { data: histories[handle] || { data: { userContestRankingHistory: [] } } };
+    }
+  };
+}
+
+test('reports the rank and rating change of members who took part', () => {
+  const results = leetcode.results.parse(histories, ['alice', 'bob', 'carol'], contest);
+
+  assert.deepEqual(results.standings, [
+    { handle: 'alice', rank: 2311, solved: 4, total: 4 },
+    { handle: 'bob', rank: 14020, solved: 2, total: 4 }
+  ]);
+  // alice skipped contest 400, so her old rating comes from contest 399;
+  // contest 401 was bob's first, so he started from the initial rating
+  assert.deepEqual(results.ratings, [
+    { handle: 'alice', oldRating: 1612, newRating: 1656 },
+    { handle: 'bob', oldRating: 1500, newRating: 1498 }
+  ]);
+});
+
+test('waits while the contest is missing from every history', () => {
+  assert.deepEqual(leetcode.results.parse(histories, ['dave'], contest), { standings: null, ratings: null });
+});
+
+test('ignores handles whose history was not fetched', () => {
+  const { bob, ...rest } = histories;
+  const results = leetcode.results.parse(rest, ['alice', 'bob'], contest);
+  assert.deepEqual(results.standings.map(row => row.handle), ['alice']);
+});
+
+test('fetches every handle and leaves out the ones that failed', async () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const http = fakeHttp(['erin']);
+
+  const payload = await leetcode.results.fetchRaw(contest, ['alice', 'erin', 'bob'], http);
+  assert.deepEqual(Object.keys(payload).sort(), ['alice', 'bob']);
+  assert.equal(warn.mock.callCount(), 1);
+
+  // erin is backed off, so the next check does not ask for her again
+  http.requested.length = 0;
+  await leetcode.results.fetchRaw(contest, ['alice', 'erin', 'bob'], http);
+  assert.deepEqual(http.requested, ['alice', 'bob']);
+  warn.mock.restore();
+});
+
+test('throws when every lookup failed', async () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  await assert.rejects(leetcode.results.fetchRaw(contest, ['frank', 'grace'], fakeHttp(['frank', 'grace'])), /status code 429/);
+  warn.mock.restore();
+});
+
+test('fetches only a few histories at a time', async () => {
+  const http = fakeHttp();
+  const handles = ['alice', 'bob', 'carol', 'dave', 'h1', 'h2', 'h3'];
+
+  const payload = await leetcode.results.fetchRaw(contest, handles, http);
+  assert.equal(Object.keys(payload).length, handles.length);
+  assert.equal(http.maxInFlight, 3);
+});
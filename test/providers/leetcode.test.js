@@ -0,0 +1,43 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { logger } = require('../../logger');
+const leetcode = require('../../providers/leetcode');
+const { validateContest } = require('../../providers/contest');
+const payload = require('../fixtures/leetcode-contests.json');
+
+test('maps every contest with durations in seconds converted to minutes', () => {
+  const contests = leetcode.parse(payload);
+
+  assert.equal(contests.length, 3);
+  assert.deepEqual(contests[0], {
+    id: 'weekly-contest-401',
+    platform: 'leetcode',
+    title: 'Weekly Contest 401',
+    startTime: 1717900200,
+    endTime: 1717905600,
+    duration: 90,
+    url: 'https://leetcode.com/contest/weekly-contest-401',
+    type: 'weekly',
+    rated: true
+  });
+  contests.forEach(contest => assert.deepEqual(validateContest(contest), []));
+});
+
+test('classifies weekly and biweekly contests', () => {
+  assert.deepEqual(leetcode.parse(payload).map(contest => contest.type), ['weekly', 'biweekly', 'weekly']);
+});
+
+test('drops entries without a start time and keeps the rest', () => {
+  const warn = mock.method(logger, 'warn', () => {});
+  const broken = structuredClone(payload);
+  broken.data.allContests[1].startTime = null;
+
+  const contests = leetcode.parse(broken);
+  assert.deepEqual(contests.map(contest => contest.id), ['weekly-contest-401', 'weekly-contest-400']);
+  assert.equal(warn.mock.callCount(), 1);
+  warn.mock.restore();
+});
+
+test('throws on an unexpected response', () => {
+  assert.throws(() => leetcode.parse({ errors: [{ message: 'rate limited' }] }), /Invalid response structure/);
+});
@@ -0,0 +1,153 @@
+const { test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('../logger');
+const { createReminderScheduler } = require('../reminder-scheduler');
+
+mock.method(logger, 'info', () => {});
+mock.method(logger, 'warn', () => {});
+mock.method(logger, 'error', () => {});
+
+const START = Date.UTC(2024, 5, 9, 12, 0, 0);
+
+// Timers only run when the test moves the clock forward
+function createFakeClock(now = START) {
+  const timers = new Map();
+  let nextHandle = 1;
+  const clock = {
+    now: () => now,
+    setTimeout: (fn, ms) => {
+      const handle = nextHandle++;
+      timers.set(handle, { fn, at: now + ms });
+      return handle;
+    },
+    clearTimeout: handle => timers.delete(handle),
+    async advance(ms) {
+      now += ms;
+      let due;
+      while ((due = [...timers].filter(([, timer]) => timer.at <= now)).length > 0) {
+        due.forEach(([handle, timer]) => {
+          timers.delete(handle);
+          timer.fn();
+        });
+      }
+      // Let fire() finish awaiting send()
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+  return clock;
+}
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reminders-'));
+  file = path.join(dir, 'reminders.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function storedStatus(id) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).jobs[id].status;
+}
+
+test('sends a reminder once, even when it is scheduled again or the bot restarts', async () => {
+  const clock = createFakeClock();
+  const send = mock.fn(async () => true);
+  const scheduler = createReminderScheduler({ send, file, clock });
+  scheduler.start();
+
+  assert.equal(scheduler.schedule({ id: 'lc-401:60', fireAt: START + 1000, contest: 'weekly-contest-401' }), true);
+  assert.equal(scheduler.schedule({ id: 'lc-401:60', fireAt: START + 1000 }), false);
+  await clock.advance(1000);
+
+  assert.equal(send.mock.callCount(), 1);
+  assert.equal(send.mock.calls[0].arguments[0].contest, 'weekly-contest-401');
+  assert.equal(scheduler.schedule({ id: 'lc-401:60', fireAt: START + 5000 }), false);
+  assert.equal(await scheduler.fire('lc-401:60'), false);
+  scheduler.stop();
+
+  const restarted = createReminderScheduler({ send, file, clock });
+  assert.equal(restarted.start(), 0);
+  await clock.advance(10000);
+  assert.equal(send.mock.callCount(), 1);
+  restarted.stop();
+});
+
+test('catches up a reminder missed while the bot was down until it expires', async () => {
+  const clock = createFakeClock();
+  const before = createReminderScheduler({ send: async () => true, file, clock });
+  before.schedule({ id: 'fresh', fireAt: START + 1000, expiresAt: START + 60000 });
+  before.schedule({ id: 'expired', fireAt: START + 1000, expiresAt: START + 2000 });
+  before.stop();
+
+  await clock.advance(5000);
+  const send = mock.fn(async () => true);
+  const after = createReminderScheduler({ send, file, clock, missedPolicy: 'catch-up' });
+  after.start();
+  await clock.advance(0);
+
+  assert.deepEqual(send.mock.calls.map(call => call.arguments[0].id), ['fresh']);
+  assert.equal(storedStatus('fresh'), 'sent');
+  assert.equal(storedStatus('expired'), 'skipped');
+  after.stop();
+});
+
+test('drops reminders missed while the bot was down with the skip policy', async () => {
+  const clock = createFakeClock();
+  const before = createReminderScheduler({ send: async () => true, file, clock });
+  before.schedule({ id: 'missed', fireAt: START + 1000, expiresAt: START + 60000 });
+  before.stop();
+
+  await clock.advance(5000);
+  const send = mock.fn(async () => true);
+  const after = createReminderScheduler({ send, file, clock, missedPolicy: 'skip' });
+  after.start();
+  await clock.advance(0);
+
+  assert.equal(send.mock.callCount(), 0);
+  assert.equal(storedStatus('missed'), 'skipped');
+  assert.deepEqual(after.getPending(), []);
+  after.stop();
+});
+
+test('skips a reminder whose contest moved so early that its time has passed', async () => {
+  const clock = createFakeClock();
+  const send = mock.fn(async () => true);
+  const scheduler = createReminderScheduler({ send, file, clock });
+  scheduler.start();
+
+  scheduler.schedule({ id: 'moved', fireAt: START + 10000 });
+  assert.equal(scheduler.schedule({ id: 'moved', fireAt: START - 1000 }), false);
+  await clock.advance(20000);
+
+  assert.equal(send.mock.callCount(), 0);
+  assert.equal(storedStatus('moved'), 'skipped');
+  scheduler.stop();
+});
+
+test('keeps a reminder pending when send() did not deliver it', async () => {
+  const clock = createFakeClock();
+  const scheduler = createReminderScheduler({ send: async () => false, file, clock });
+  scheduler.start();
+
+  scheduler.schedule({ id: 'shutdown', fireAt: START + 1000, expiresAt: START + 60000 });
+  await clock.advance(1000);
+
+  assert.deepEqual(scheduler.getPending().map(job => job.id), ['shutdown']);
+  assert.equal(storedStatus('shutdown'), 'pending');
+  scheduler.stop();
+
+  const send = mock.fn(async () => true);
+  const restarted = createReminderScheduler({ send, file, clock });
+  restarted.start();
+  await clock.advance(0);
+  assert.equal(send.mock.callCount(), 1);
+  assert.equal(storedStatus('shutdown'), 'sent');
+  restarted.stop();
+});
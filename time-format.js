@@ -0,0 +1,56 @@
+const { logger } = require('./logger');
+const { DEFAULT_TIMEZONE } = require('./guild-config');
+
+// Discord renders <t:unix:style> in every reader's own timezone.
+// F = full date and time, R = relative ("in 3 hours"), t = short time.
+function discordTimestamp(timestamp, style = 'F') {
+  return `<t:${Math.floor(timestamp)}:${style}>`;
+}
+
+// Absolute time plus a live countdown, for embed field values
+function discordTimeWithCountdown(timestamp) {
+  return `${discordTimestamp(timestamp, 'F')} (${discordTimestamp(timestamp, 'R')})`;
+}
+
+// Plain-text time for places Discord does not render timestamp markup
+// (embed titles, notification previews) and for outputs outside Discord
+function formatContestTime(timestamp, timeZone = DEFAULT_TIMEZONE) {
+  try {
+    const date = new Date(timestamp * 1000);
+    return date.toLocaleString('en-IN', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  } catch (error) {
+    logger.error('Error formatting contest time', { timestamp, timeZone, error });
+    return 'Invalid date';
+  }
+}
+
+// Contest length in minutes as "1h 30m", "45m" or "2d 4h"
+function formatDuration(minutes) {
+  const total = Math.round(Number(minutes));
+  if (!Number.isFinite(total) || total <= 0) return 'Unknown';
+
+  const days = Math.floor(total / (24 * 60));
+  const hours = Math.floor((total % (24 * 60)) / 60);
+  const mins = total % 60;
+  return [
+    days ? `${days}d` : null,
+    hours ? `${hours}h` : null,
+    mins ? `${mins}m` : null
+  ].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  discordTimestamp,
+  discordTimeWithCountdown,
+  formatContestTime,
+  formatDuration
+};